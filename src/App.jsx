@@ -1,9 +1,23 @@
+import { useState } from "react";
 import GaltonBoard from "./GaltonBoard.jsx";
+import CompareBoards from "./CompareBoards.jsx";
+import SweepRunner from "./SweepRunner.jsx";
+import { styles } from "./styles.js";
+
+const VIEWS = { single: "Single board", compare: "Compare boards", sweep: "Parameter sweep" };
 
 export default function App() {
+  const [view, setView] = useState("single");
   return (
     <div className="min-h-screen">
-      <GaltonBoard />
+      <div style={{ ...styles.btnRow, maxWidth: 1100, margin: "0 auto", padding: "16px 16px 0", boxSizing: "border-box" }}>
+        {Object.entries(VIEWS).map(([k, label]) => (
+          <button key={k} onClick={() => setView(k)} style={view === k ? styles.btnDark : styles.btnLight}>{label}</button>
+        ))}
+      </div>
+      {view === "single" && <GaltonBoard syncUrl />}
+      {view === "compare" && <CompareBoards />}
+      {view === "sweep" && <SweepRunner />}
     </div>
   );
 }
@@ -0,0 +1,297 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { createBoard, batchStagger, createGeometry, biasToPRight, exactPmf, pmfMoments, sampleMoments, densitySeries, differenceSeries, GENERATORS } from "./engine/index.js";
+import { drawPegs, drawBins, drawBalls, drawBallPool } from "./boardCanvas.js";
+import { createStackLayer } from "./stackLayer.js";
+import { SYNC_MS } from "./simCore.js";
+import { useElementWidth, currentPixelRatio, NARROW_WIDTH } from "./useMeasure.js";
+import { styles } from "./styles.js";
+
+const PALETTE = ["#0284c7", "#ea580c", "#16a34a", "#9333ea"];
+const NAMES = ["A", "B", "C", "D"];
+const MIN_BOARDS = 2;
+const MAX_BOARDS = 4;
+const AXES = { centered: "Centered (k − rows/2)", standardized: "Standardized (z)" };
+
+const INITIAL = [
+  { id: 0, rows: 12, bias: 0, seed: 1, rng: "mulberry32", motion: "gravity" },
+  { id: 1, rows: 12, bias: 0.1, seed: 2, rng: "mulberry32", motion: "gravity" },
+];
+
+const talliesOf = (boards) => Object.fromEntries([...boards].map(([id, b]) => [id, b.getTallies()]));
+const num = (v, d = 2) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+
+/**
+ * Two to four boards side by side, each with its own rows, bias, seed,
+ * generator and motion model, dropping in step under one Start/Stop. Their histograms are
+ * overlaid as densities on a shared centered or standardized axis, with a
+ * difference chart for any pair.
+ */
+export default function CompareBoards() {
+  const [specs, setSpecs] = useState(INITIAL);
+  const [running, setRunning] = useState(false);
+  const [ballsPerBatch, setBallsPerBatch] = useState(5);
+  const [dropIntervalMs, setDropIntervalMs] = useState(500);
+  const [stepMs, setStepMs] = useState(140);
+  const [axis, setAxis] = useState("centered");
+  const [pair, setPair] = useState([0, 1]); // ids of the boards in the difference chart
+  const pageRef = useRef(null);
+  const pageWidth = useElementWidth(pageRef);
+  const narrow = pageWidth > 0 && pageWidth < NARROW_WIDTH;
+
+  // id -> engine board / stack layer / canvas; the boards follow `specs`
+  const boardsRef = useRef(new Map());
+  const stacksRef = useRef(new Map());
+  const canvasesRef = useRef(new Map());
+  const [tallies, setTallies] = useState({});
+
+  useEffect(() => {
+    const boards = boardsRef.current;
+    specs.forEach(({ id, rows, bias, seed, rng, motion }) => {
+      if (boards.has(id)) boards.get(id).configure({ rows, bias, seed, rng, motion, stepMs });
+      else boards.set(id, createBoard({ rows, bias, seed, rng, motion, stepMs }));
+    });
+    [...boards.keys()].forEach((id) => {
+      if (!specs.some((s) => s.id === id)) {
+        boards.delete(id);
+        stacksRef.current.delete(id);
+      }
+    });
+    setTallies(talliesOf(boards));
+  }, [specs, stepMs]);
+
+  const update = (id, patch) => {
+    setRunning(false);
+    setSpecs((ss) => ss.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  };
+
+  const addBoard = () => setSpecs((ss) => {
+    const last = ss[ss.length - 1];
+    const id = Math.max(...ss.map((s) => s.id)) + 1;
+    return [...ss, { ...last, id, seed: last.seed + 1 }];
+  });
+
+  const removeBoard = (id) => {
+    const rest = specs.filter((s) => s.id !== id);
+    setSpecs(rest);
+    setPair((p) => p.map((x) => (x === id ? (rest.find((s) => !p.includes(s.id)) ?? rest[0]).id : x)));
+  };
+
+  const dropAll = () => boardsRef.current.forEach((b) => b.dropBalls(ballsPerBatch, batchStagger(stepMs)));
+
+  const resetAll = () => {
+    boardsRef.current.forEach((b) => b.reset());
+    setTallies(talliesOf(boardsRef.current));
+  };
+
+  useEffect(() => {
+    let id;
+    if (running) {
+      const drop = () => boardsRef.current.forEach((b) => b.dropBalls(ballsPerBatch, batchStagger(stepMs)));
+      drop();
+      id = setInterval(drop, Math.max(40, dropIntervalMs));
+    }
+    return () => id && clearInterval(id);
+  }, [running, ballsPerBatch, dropIntervalMs, stepMs]);
+
+  // one loop steps every board by the same dt, so they stay in sync
+  useEffect(() => {
+    let last = null;
+    let rafId = 0;
+    let landed = false;
+    let lastSync = 0;
+
+    const step = (now) => {
+      const dt = last === null ? 0 : Math.min(0.033, (now - last) / 1000);
+      last = now;
+
+      boardsRef.current.forEach((board, id) => {
+        if (board.step(dt).length) landed = true;
+        const canvas = canvasesRef.current.get(id);
+        if (!canvas) return;
+        if (!stacksRef.current.has(id)) stacksRef.current.set(id, createStackLayer());
+        const g = board.getGeometry();
+        const lattice = board.getLayout();
+        // backing store at the canvas's on-screen size in device pixels
+        const scale = ((canvas.clientWidth || g.width) / g.width) * currentPixelRatio();
+        const w = Math.round(g.width * scale);
+        const h = Math.round(g.height * scale);
+        if (canvas.width !== w || canvas.height !== h) {
+          canvas.width = w;
+          canvas.height = h;
+        }
+        const ctx = canvas.getContext("2d");
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.clearRect(0, 0, g.width, g.height);
+        drawBins(ctx, g, lattice);
+        drawPegs(ctx, g, { lattice });
+        if (board.getConfig().motion === "physics") drawBalls(ctx, board.getPile());
+        else stacksRef.current.get(id).draw(ctx, g, lattice, board.getTallies(), scale);
+        drawBallPool(ctx, board.getBallPool(), g.ballRadius, scale);
+        drawBalls(ctx, board.getBodies());
+      });
+      if (landed && now - lastSync >= SYNC_MS) {
+        landed = false;
+        lastSync = now;
+        setTallies(talliesOf(boardsRef.current));
+      }
+
+      rafId = requestAnimationFrame(step);
+    };
+
+    rafId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(rafId);
+  }, []);
+
+  // per-board theory and densities on the chosen axis
+  const pmfs = useMemo(() => Object.fromEntries(specs.map((s) => [s.id, exactPmf({ rows: s.rows, bias: s.bias })])), [specs]);
+  const series = useMemo(() => Object.fromEntries(specs.map((s) => {
+    const t = tallies[s.id];
+    return [s.id, t && t.length === s.rows + 1 ? densitySeries(t, pmfs[s.id], axis) : []];
+  })), [specs, tallies, pmfs, axis]);
+
+  const [a, b] = pair;
+  const diff = useMemo(() => (series[a] && series[b] ? differenceSeries(series[a], series[b]) : []), [series, a, b]);
+  const nameOf = (id) => NAMES[specs.findIndex((s) => s.id === id)] ?? "?";
+  const colorOf = (id) => PALETTE[specs.findIndex((s) => s.id === id)] ?? "#64748b";
+
+  return (
+    <div ref={pageRef} style={styles.page}>
+      <div style={styles.card}>
+        <div style={styles.row}>
+          <h2 style={styles.h2}>Compare boards</h2>
+          <div style={styles.sub}>{specs.length} boards, dropping together</div>
+        </div>
+        <div style={styles.btnRow}>
+          <button onClick={() => setRunning((r) => !r)} style={styles.btnPrimary}>{running ? "Stop" : "Start"}</button>
+          <button onClick={dropAll} style={styles.btnDark}>Drop {ballsPerBatch} each</button>
+          <button onClick={resetAll} style={styles.btnLight}>Reset all</button>
+          <button onClick={addBoard} disabled={specs.length >= MAX_BOARDS} style={styles.btnLight}>Add board</button>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: `repeat(${narrow ? 1 : 3}, minmax(0, 1fr))`, gap: 12 }}>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Balls per batch: {ballsPerBatch}</div>
+            <input type="range" min={1} max={200} value={ballsPerBatch} onChange={(e) => setBallsPerBatch(parseInt(e.target.value))} style={styles.range} />
+          </div>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Drop interval (ms): {dropIntervalMs}</div>
+            <input type="range" min={40} max={1500} value={dropIntervalMs} onChange={(e) => setDropIntervalMs(parseInt(e.target.value))} style={styles.range} />
+          </div>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Speed (ms per step): {stepMs}</div>
+            <input type="range" min={60} max={500} value={stepMs} onChange={(e) => setStepMs(parseInt(e.target.value))} style={styles.range} />
+          </div>
+        </div>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${narrow ? 1 : specs.length}, minmax(0, 1fr))`, gap: 16, marginTop: 16 }}>
+        {specs.map((s, idx) => {
+          const g = createGeometry(s.rows);
+          const theory = pmfMoments(pmfs[s.id]);
+          const sample = sampleMoments(tallies[s.id] ?? []);
+          return (
+            <div key={s.id} style={{ ...styles.card, borderTop: `4px solid ${PALETTE[idx]}` }}>
+              <div style={styles.row}>
+                <h3 style={{ ...styles.h4, fontSize: 15 }}>Board {NAMES[idx]}</h3>
+                <button onClick={() => removeBoard(s.id)} disabled={specs.length <= MIN_BOARDS} style={{ ...styles.btnLight, padding: "2px 10px" }}>Remove</button>
+              </div>
+              <div style={styles.borderBox}>
+                <canvas
+                  ref={(el) => (el ? canvasesRef.current.set(s.id, el) : canvasesRef.current.delete(s.id))}
+                  style={{ width: "100%", aspectRatio: `${g.width} / ${g.height}`, display: "block" }}
+                />
+              </div>
+              <div style={{ ...styles.sub, fontSize: 12, margin: "8px 0" }}>
+                n = {sample.n} • mean {num(sample.mean)} (theory {num(theory.mean)}) • SD {num(Math.sqrt(sample.variance))} (theory {num(Math.sqrt(theory.variance))})
+              </div>
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>Rows: {s.rows}</div>
+                <input type="range" min={5} max={20} value={s.rows} onChange={(e) => update(s.id, { rows: parseInt(e.target.value) })} style={styles.range} />
+              </div>
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>P(right): {(biasToPRight(s.bias) * 100).toFixed(1)}%</div>
+                <input type="range" step={0.01} min={-0.25} max={0.25} value={s.bias} onChange={(e) => update(s.id, { bias: parseFloat(e.target.value) })} style={styles.range} />
+              </div>
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>Seed</div>
+                <input type="number" min={0} value={s.seed} onChange={(e) => update(s.id, { seed: Math.max(0, parseInt(e.target.value || 0)) })} style={{ ...styles.numberInput, width: 80 }} />
+              </div>
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>Random generator</div>
+                <select value={s.rng} onChange={(e) => update(s.id, { rng: e.target.value })} style={styles.select}>
+                  {Object.entries(GENERATORS).map(([k, g]) => <option key={k} value={k}>{g.label}</option>)}
+                </select>
+              </div>
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>Motion model</div>
+                <select value={s.motion} onChange={(e) => update(s.id, { motion: e.target.value })} style={styles.select}>
+                  <option value="step">Discrete steps</option>
+                  <option value="gravity">Gravity + coin flip</option>
+                  <option value="physics">Rigid-body physics</option>
+                </select>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ ...styles.card, marginTop: 16 }}>
+        <div style={{ ...styles.row, flexWrap: "wrap", gap: 8 }}>
+          <h4 style={styles.h4}>Overlaid histograms (density)</h4>
+          <select value={axis} onChange={(e) => setAxis(e.target.value)} style={styles.select}>
+            {Object.entries(AXES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </div>
+        <div style={{ height: 280 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid vertical={false} strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={["auto", "auto"]} tick={{ fontSize: 12 }} tickFormatter={(v) => num(v, 1)} allowDuplicatedCategory={false} />
+              <YAxis tick={{ fontSize: 12 }} width={44} tickFormatter={(v) => num(v, 2)} />
+              <Tooltip formatter={(v) => num(v, 4)} labelFormatter={(x) => `x = ${num(x, 2)}`} />
+              {specs.map((s, idx) => [
+                <Line key={`o${s.id}`} data={series[s.id]} dataKey="observed" name={`${NAMES[idx]} observed`} stroke={PALETTE[idx]} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />,
+                <Line key={`e${s.id}`} data={series[s.id]} dataKey="expected" name={`${NAMES[idx]} expected`} stroke={PALETTE[idx]} strokeDasharray="4 4" dot={false} isAnimationActive={false} />,
+              ])}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ ...styles.sub, fontSize: 12 }}>
+          Solid: observed, dashed: expected. Heights are probability per unit of the axis, so boards with different rows have equal area.
+        </div>
+      </div>
+
+      <div style={{ ...styles.card, marginTop: 16 }}>
+        <div style={{ ...styles.row, flexWrap: "wrap", gap: 8 }}>
+          <h4 style={styles.h4}>Difference</h4>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            {[0, 1].map((k) => (
+              <React.Fragment key={k}>
+                {k === 1 && <span style={styles.label}>minus</span>}
+                <select value={pair[k]} onChange={(e) => setPair((p) => p.map((x, j) => (j === k ? parseInt(e.target.value) : x)))} style={styles.select}>
+                  {specs.map((s, idx) => <option key={s.id} value={s.id}>Board {NAMES[idx]}</option>)}
+                </select>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+        <div style={{ height: 220 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={diff} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid vertical={false} strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={["auto", "auto"]} tick={{ fontSize: 12 }} tickFormatter={(v) => num(v, 1)} />
+              <YAxis tick={{ fontSize: 12 }} width={44} tickFormatter={(v) => num(v, 2)} />
+              <Tooltip formatter={(v) => num(v, 4)} labelFormatter={(x) => `x = ${num(x, 2)}`} />
+              <ReferenceLine y={0} stroke="#94a3b8" />
+              <Line dataKey="observed" name={`${nameOf(a)} − ${nameOf(b)} observed`} stroke={colorOf(a)} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+              <Line dataKey="expected" name={`${nameOf(a)} − ${nameOf(b)} expected`} stroke={colorOf(b)} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ ...styles.sub, fontSize: 12 }}>
+          Boards with the same rows are compared bin by bin; otherwise each density is interpolated between its own bins.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,249 +1,847 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
-
-// ---------- simple style helpers (no external CSS) ----------
-const styles = {
-  page: { width: "100%", maxWidth: 1100, margin: "0 auto", padding: 16, boxSizing: "border-box", fontFamily: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, Noto Sans", color: "#0f172a" },
-  grid: { display: "grid", gridTemplateColumns: "minmax(0,1fr) 320px", gap: 24, alignItems: "start" },
-  card: { background: "#fff", borderRadius: 16, boxShadow: "0 6px 20px rgba(2, 6, 23, 0.08)", padding: 16 },
-  h2: { fontSize: 20, fontWeight: 600, margin: 0 },
-  sub: { fontSize: 13, color: "#64748b" },
-  borderBox: { position: "relative", width: "100%", border: "1px solid #e2e8f0", borderRadius: 12, overflow: "hidden", background: "#f8fafc" },
-  row: { display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 },
-  btnRow: { display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 12 },
-  btnPrimary: { padding: "8px 14px", borderRadius: 14, border: 0, background: "#0284c7", color: "white", cursor: "pointer" },
-  btnDark: { padding: "8px 14px", borderRadius: 14, border: 0, background: "#111827", color: "white", cursor: "pointer" },
-  btnLight: { padding: "8px 14px", borderRadius: 14, border: "1px solid #e2e8f0", background: "#f1f5f9", color: "#0f172a", cursor: "pointer" },
-  sidebar: { width: 320 },
-  ctlGridRow: { display: "grid", gridTemplateColumns: "150px 1fr", gap: 12, alignItems: "center", marginBottom: 12 },
-  label: { fontSize: 13, color: "#475569" }
-};
-
-// clamp helper
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-
-// deterministic RNG
-function mulberry32(seed) {
-  let a = seed || Math.floor(Math.random() * 2 ** 31);
-  return function () {
-    a |= 0;
-    a = (a + 0x6d2b79f5) | 0;
-    let t = Math.imul(a ^ (a >>> 15), 1 | a);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+import React, { useEffect, useImperativeHandle, useMemo, useRef, useState } from "react";
+import {
+  createGeometry, batchStagger, biasToPRight, runTurbo, TURBO_MAX, exactPmf, pmfMoments, pegAt, PHYSICS_DEFAULTS,
+  compileBoard, togglePeg, toggleWall, addFunnel, toggleBlockedBin, toggleMerge, frozenBoard,
+  binsCsv, pathsCsv, runJson, GENERATORS, hiddenBias, BOARD_TYPES, DEFAULT_BOARD, RECT_BINS, boardOfType,
+} from "./engine/index.js";
+import { createSimHost } from "./simHost.js";
+import { FRAME_S } from "./simCore.js";
+import Histogram from "./Histogram.jsx";
+import StatsPanel from "./StatsPanel.jsx";
+import PegEditor from "./PegEditor.jsx";
+import LayoutEditor from "./LayoutEditor.jsx";
+import ReplayPanel from "./ReplayPanel.jsx";
+import TracePanel from "./TracePanel.jsx";
+import StepThroughPanel from "./StepThroughPanel.jsx";
+import LessonPanel from "./LessonPanel.jsx";
+import RngPanel from "./RngPanel.jsx";
+import InferencePanel from "./InferencePanel.jsx";
+import SourcesPanel from "./SourcesPanel.jsx";
+import { readUrlState, writeUrlState, copyLink, readParam, boardFromUrl, boardToUrl, URL_PARAMS } from "./urlState.js";
+import { useProp } from "./useControllable.js";
+import { useElementWidth, useDevicePixelRatio, NARROW_WIDTH } from "./useMeasure.js";
+import { downloadText, downloadBlob } from "./download.js";
+import { boardPng, boardSvg, chartSvg, figureSvg, figurePng } from "./figureExport.js";
+import { styles } from "./styles.js";
+
+const IMAGE_SCALES = [1, 2, 3, 4]; // PNG pixels per board unit
+const PRESET_DROP_S = 6; // a lesson preset's balls are spread over at most this long
+const percent = (p) => `${(p * 100).toFixed(1)}%`;
+const NUMBERS = { "": "None", paths: "Path counts (Pascal's triangle)", probability: "Probability of reaching" };
+// the time-scale slider is logarithmic between these
+const TIME_SCALE_LOG = [Math.log10(URL_PARAMS.timeScale.min), Math.log10(URL_PARAMS.timeScale.max)];
+
+/**
+ * The board with all its panels. Every parameter below can be controlled
+ * (`rows`), uncontrolled with a start value (`defaultRows`) or left alone,
+ * and reports changes through `onRowsChange` etc.:
+ *
+ *   rows, board, ballsPerBatch, dropIntervalMs, bias, stepMs, scale, seed,
+ *   rng, motion, physics, pegProbs, layout, sources, running, paused, timeScale
+ *
+ * Events: `onBallLanded(bin, path, source)` per animated ball, `onTalliesChange(tallies)`
+ * a few times a second, `onRunComplete(tallies)` when the last falling ball
+ * lands (or a turbo run ends) and the board isn't dropping more. `ref` gets
+ * `{ drop(n), reset(), start(), stop(), pause(), resume(), advanceFrame(),
+ * advanceRow(), getState() }`. `syncUrl` mirrors the
+ * setup in the page's query string, as the app does; embedded boards leave it off.
+ */
+export default function GaltonBoard(props) {
+  const { ref, syncUrl = false, onBallLanded, onTalliesChange, onRunComplete } = props;
+  // initial setup from a shared link, if any
+  const [launch] = useState(() => readUrlState(
+    ["rows", "board", "straight", "bins", "ballsPerBatch", "bias", "stepMs", "scale", "seed", "rng", "interval", "motion", "timeScale"],
+    syncUrl ? undefined : "",
+  ));
+
+  const [rows, setRows] = useProp(props, "rows", launch.state.rows);
+  // triangle, three-way pegs or a rectangle with walls (see engine/lattices.js)
+  const [board, setBoard] = useProp(props, "board", boardFromUrl(launch.state));
+  const [ballsPerBatch, setBallsPerBatch] = useProp(props, "ballsPerBatch", launch.state.ballsPerBatch);
+  const [dropIntervalMs, setDropIntervalMs] = useProp(props, "dropIntervalMs", launch.state.interval);
+  const [bias, setBias] = useProp(props, "bias", launch.state.bias);
+  const [stepMs, setStepMs] = useProp(props, "stepMs", launch.state.stepMs);
+  const [scale, setScale] = useProp(props, "scale", launch.state.scale);
+  const [seed, setSeed] = useProp(props, "seed", launch.state.seed);
+  const [rng, setRng] = useProp(props, "rng", launch.state.rng); // generator, see engine/rng.js
+  const [running, setRunning] = useProp(props, "running", launch.autostart);
+  // The simulation clock: `timeScale` sim seconds pass per second, and none
+  // while `paused`, which freezes falling balls as well as the drops
+  const [paused, setPaused] = useProp(props, "paused", false);
+  const [timeScale, setTimeScale] = useProp(props, "timeScale", launch.state.timeScale);
+  // "step": eased left/right moves; "gravity": coin flip at each peg with a
+  // bounce; "physics": rigid-body collisions
+  const [motion, setMotion] = useProp(props, "motion", launch.state.motion);
+  const [resetOnSwitch, setResetOnSwitch] = useState(false);
+  const [physics, setPhysics] = useProp(props, "physics", PHYSICS_DEFAULTS);
+
+  // The simulation and its drawing run off the main thread when the browser
+  // allows (see simHost.js); this component sends it commands and gets the
+  // tallies back a few times a second.
+  const hostRef = useRef(null);
+  const pageRef = useRef(null);
+  const boardBoxRef = useRef(null);
+  const canvasRef = useRef(null);
+  const geom = useMemo(() => createGeometry(rows, board), [rows, board]);
+  const { width, height } = geom;
+
+  // The board fills its box, up to `scale` times its base size, and is drawn
+  // at the screen's own resolution; the sidebar moves under it on a phone.
+  const pageWidth = useElementWidth(pageRef);
+  const boxWidth = useElementWidth(boardBoxRef);
+  const pixelRatio = useDevicePixelRatio();
+  const narrow = pageWidth > 0 && pageWidth < NARROW_WIDTH;
+  const shownWidth = Math.min(boxWidth || Infinity, width * scale);
+  const pixelsPerUnit = (shownWidth / width) * pixelRatio;
+
+  const pRight = biasToPRight(bias);
+
+  const [binTallies, setBinTallies] = useState(() => Array(rows + 1).fill(0));
+  const [sourceTallies, setSourceTallies] = useState(null); // binTallies split by drop source
+  // commands sent before the simulation started reach it when it does
+  const earlyRef = useRef([]);
+  const send = (msg) => (hostRef.current ? hostRef.current.send(msg) : earlyRef.current.push(msg));
+
+  // Canvas click editing: null, "probs" (per-peg probabilities) or "layout"
+  const [editMode, setEditMode] = useState(null);
+
+  // Per-peg probabilities (null = every peg uses the bias)
+  const [pegProbs, setPegProbs] = useProp(props, "pegProbs", null);
+  const [selectedPeg, setSelectedPeg] = useState(null);
+
+  // Board layout edits (null = the plain triangle)
+  const [layout, setLayout] = useProp(props, "layout", null);
+  const [layoutTool, setLayoutTool] = useState("peg");
+  const [funnelWidth, setFunnelWidth] = useState(4);
+  const lattice = useMemo(() => compileBoard({ rows, board, layout }), [layout, rows, board]);
+  // peg maps and layouts are made for the triangle only
+  const triangle = lattice.lattice.type === "triangle";
+
+  // Drop sources (null = one funnel at the centre, see engine/sources.js)
+  const [sources, setSources] = useProp(props, "sources", null);
+
+  // Overlays: follow a clicked ball; colour pegs by how many balls hit them
+  const [tracing, setTracing] = useState(false);
+  const [trace, setTrace] = useState(null); // { id, path, probability, landed, bin }
+  const [heatmap, setHeatmap] = useState(false);
+  const [visits, setVisits] = useState(null); // board.getVisits() while the heatmap is on
+  const [hoverPeg, setHoverPeg] = useState(null); // { r, i, left, top } under the pointer
+  const [numbers, setNumbers] = useState(null); // label pegs and bins: null, "paths" or "probability"
+  const [walkthrough, setWalkthrough] = useState(null); // { path, bin } of the step-through ball
+
+  // Inference mode: the bias is hidden and estimated from the tallies, and
+  // whatever would give it away stays hidden until it is revealed
+  const [inference, setInference] = useState(null); // { fromSeed, revealed } while on
+  const biasHidden = !!inference && !inference.revealed;
+
+  // the event props as of the last render, for the host's message handler
+  const latest = useRef(null);
+  useEffect(() => {
+    latest.current = { onBallLanded, onTalliesChange, onRunComplete, running };
+  });
+
+  // what the board starts from; later changes go out as "configure"
+  const [mount] = useState(() => ({ config: { rows, board, bias, seed, rng, stepMs, motion, pegProbs, layout, sources, physics }, scale: pixelsPerUnit }));
+
+  // A fresh canvas per host: one that has been handed to a worker can't be
+  // handed over again, as StrictMode's remount would otherwise try to.
+  useEffect(() => {
+    const { config, scale } = mount;
+    const g = createGeometry(config.rows, config.board);
+    const canvas = Object.assign(document.createElement("canvas"), { width: Math.round(g.width * scale), height: Math.round(g.height * scale) });
+    boardBoxRef.current.appendChild(canvas);
+    canvasRef.current = canvas;
+    const host = createSimHost(canvas, config, (msg) => {
+      const on = latest.current ?? {};
+      if (msg.type === "tallies") {
+        setBinTallies(msg.tallies);
+        setSourceTallies(msg.sourceTallies);
+        on.onTalliesChange?.(msg.tallies);
+      } else if (msg.type === "replay") {
+        setReplay((r) => r && { ...r, tick: msg.tick, playing: msg.playing, view: msg.view ?? r.view });
+      } else if (msg.type === "trace") {
+        setTrace(msg.trace);
+      } else if (msg.type === "landed") {
+        msg.balls.forEach(({ bin, path, source }) => on.onBallLanded?.(bin, path, source));
+      } else if (msg.type === "idle" && !on.running) {
+        on.onRunComplete?.(msg.tallies);
+      }
+      if (msg.visits) setVisits(msg.visits);
+    });
+    hostRef.current = host;
+    earlyRef.current.forEach((msg) => host.send(msg));
+    // drop=N from the link
+    if (launch.drop) host.send({ type: "drop", n: launch.drop, stagger: batchStagger(config.stepMs) });
+    return () => {
+      host.dispose();
+      canvas.remove();
+      hostRef.current = null;
+    };
+  }, [launch, mount]);
+
+  // balls' paths only cross from the simulation when someone listens
+  const wantsLandings = !!onBallLanded;
+  useEffect(() => {
+    hostRef.current.send({ type: "listen", landed: wantsLandings });
+  }, [wantsLandings]);
+
+  useEffect(() => {
+    hostRef.current.send({ type: "configure", patch: { rows, board, bias, seed, rng, stepMs, pegProbs, layout, sources, motion, physics } });
+  }, [rows, board, bias, seed, rng, stepMs, pegProbs, layout, sources, motion, physics]);
+
+  useEffect(() => {
+    hostRef.current.send({ type: "clock", paused, scale: timeScale });
+  }, [paused, timeScale]);
+
+  useEffect(() => {
+    // a hidden bias stays out of the address bar
+    const shownBias = biasHidden ? URL_PARAMS.bias.def : bias;
+    if (syncUrl) writeUrlState({ rows, ...boardToUrl(board), ballsPerBatch, bias: shownBias, stepMs, scale, seed, rng, interval: dropIntervalMs, motion, timeScale });
+  }, [syncUrl, rows, board, ballsPerBatch, bias, biasHidden, stepMs, scale, seed, rng, dropIntervalMs, motion, timeScale]);
+
+  const [copied, setCopied] = useState(false);
+  const onCopyLink = async () => {
+    setCopied(await copyLink());
+    setTimeout(() => setCopied(false), 1500);
   };
-}
 
-// Probabilistic ball with physics-like bounce + horizontal tween at rows
-class QBall {
-  constructor({ x0, y0, r, rows, spacing, pRight, rng, rowYs }) {
-    this.x = x0; this.y = y0; this.vx = 0; this.vy = 0; this.r = r;
-    this.rows = rows; this.spacing = spacing; this.pRight = pRight; this.rng = rng;
-    this.row = 0; this.rights = 0; this.rowYs = rowYs; this.done = false;
-    this.txActive = false; this.txStart = 0; this.txTarget = 0; this.txT0 = 0; this.txDur = 0.14;
-  }
-}
+  const pmf = useMemo(() => exactPmf({ rows, board, bias, pegProbs, layout, sources }), [rows, board, bias, pegProbs, layout, sources]);
 
-export default function GaltonBoard() {
-  const [rows, setRows] = useState(12);
-  const [dropIntervalMs, setDropIntervalMs] = useState(500);
-  const [bias, setBias] = useState(0);
-  const [running, setRunning] = useState(false);
+  useEffect(() => {
+    hostRef.current.send({
+      type: "overlay",
+      overlay: {
+        pegProbs: triangle ? pegProbs : null,
+        selected: editMode === "probs" ? selectedPeg : null,
+        showRemoved: editMode === "layout",
+        scale: pixelsPerUnit,
+        heatmap,
+        numbers,
+        walkthrough,
+      },
+    });
+  }, [triangle, pegProbs, editMode, selectedPeg, pixelsPerUnit, heatmap, numbers, walkthrough]);
+
+  // the host sizes the canvas's pixels (pixelsPerUnit); the page sizes its box
+  useEffect(() => {
+    Object.assign(canvasRef.current.style, {
+      width: "100%",
+      maxWidth: `${width * scale}px`,
+      aspectRatio: `${width} / ${height}`,
+      display: "block",
+      margin: "0 auto",
+      cursor: editMode || tracing ? "pointer" : "default",
+    });
+  }, [width, height, scale, editMode, tracing]);
+
+  const changeRows = (n, nextLayout = null) => {
+    setRunning(false);
+    setWalkthrough(null);
+    setPegProbs(null);
+    setSelectedPeg(null);
+    setLayout(nextLayout);
+    setRows(n);
+  };
 
-  // Geometry
-  const baseWidth = 520, baseHeight = 700;
-  const spacing = 28; // fixed spacing
-  const pegRadius = 3;
-  const ballRadius = 3.2;
+  // a new board type drops the peg map and layout, which were for the triangle
+  const changeBoard = (next) => {
+    setRunning(false);
+    if (next.type !== board.type) {
+      setWalkthrough(null);
+      setPegProbs(null);
+      setSelectedPeg(null);
+      setLayout(null);
+      setEditMode(null);
+    }
+    setBoard(next);
+  };
 
-  const canvasRef = useRef(null);
-  const ballsRef = useRef([]);
-  const rngRef = useRef(mulberry32(12345)); // fixed seed
-
-  const width = baseWidth, height = baseHeight;
-  const boardCenterX = width / 2;
-  const topMargin = 40, bottomMargin = 160;
-  const boardTop = topMargin + 20, boardBottom = height - bottomMargin;
-
-  const pRight = clamp(0.5 + bias, 0, 1);
-
-  const pegRows = useMemo(() => {
-    const rowsArr = [];
-    for (let r = 0; r < rows; r++) {
-      const y = boardTop + r * spacing;
-      const count = r + 1; const rowWidth = (count - 1) * spacing; const startX = boardCenterX - rowWidth / 2;
-      const pegs = Array.from({ length: count }, (_, i) => ({ x: startX + i * spacing, y }));
-      rowsArr.push(pegs);
+  const applyLayoutTool = (g, x, y) => {
+    if (layoutTool === "block" || layoutTool === "merge") {
+      if (y < g.boardBottom) return;
+      const k = Math.round((x - g.binCenters[0]) / g.binWidth);
+      if (k < 0 || k > rows) return;
+      if (layoutTool === "block") setLayout(toggleBlockedBin(layout, rows, k));
+      else if (k < rows) setLayout(toggleMerge(layout, rows, k));
+      return;
     }
-    return rowsArr;
-  }, [rows, spacing, boardTop, boardCenterX]);
+    const peg = pegAt(g, x, y);
+    if (!peg) return;
+    if (layoutTool === "peg") setLayout(togglePeg(layout, rows, peg.r, peg.i));
+    else if (layoutTool === "wallLeft") setLayout(toggleWall(layout, rows, peg.r, peg.i, "left"));
+    else if (layoutTool === "wallRight") setLayout(toggleWall(layout, rows, peg.r, peg.i, "right"));
+    else if (layoutTool === "funnel") setLayout(addFunnel(layout, rows, peg.r, peg.i, funnelWidth));
+  };
 
-  const rowYs = useMemo(() => pegRows.map(r => r[0]?.y ?? boardTop), [pegRows, boardTop]);
+  // pointer position in board units
+  const boardPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const k = width / rect.width;
+    return { x: (e.clientX - rect.left) * k, y: (e.clientY - rect.top) * k };
+  };
 
-  const binCount = rows + 1;
-  const [binTallies, setBinTallies] = useState(() => Array(binCount).fill(0));
-  useEffect(() => setBinTallies(Array(binCount).fill(0)), [binCount]);
-  const totalBalls = binTallies.reduce((a, b) => a + b, 0);
+  const onCanvasClick = (e) => {
+    const { x, y } = boardPoint(e);
+    if (!editMode) {
+      if (tracing) send({ type: "pick", x, y });
+      return;
+    }
+    if (replay) return;
+    if (editMode === "probs") setSelectedPeg(pegAt(geom, x, y));
+    else applyLayoutTool(geom, x, y);
+  };
+
+  const onCanvasHover = (e) => {
+    if (!heatmap) return;
+    const { x, y } = boardPoint(e);
+    const peg = pegAt(geom, x, y);
+    const box = e.currentTarget.getBoundingClientRect();
+    setHoverPeg(peg && { ...peg, left: e.clientX - box.left, top: e.clientY - box.top });
+  };
+
+  const changeTracing = (on) => {
+    setTracing(on);
+    if (!on) send({ type: "clearTrace" });
+  };
 
-  const launchBall = () => {
-    const x0 = boardCenterX;
-    const y0 = boardTop - spacing * 0.8;
-    ballsRef.current.push(new QBall({ x0, y0, r: ballRadius, rows, spacing, pRight, rng: rngRef.current, rowYs }));
+  const changeHeatmap = (on) => {
+    setHeatmap(on);
+    setHoverPeg(null);
+    if (!on) setVisits(null);
   };
 
+  const launchBatch = () => send({ type: "drop", n: ballsPerBatch, stagger: batchStagger(stepMs) });
+
+  // batches go out every dropIntervalMs of sim time, timed by the simulation
+  // itself: nothing drops while paused, and slow motion drops less often
   useEffect(() => {
-    let id;
-    if (running) {
-      launchBall();
-      id = setInterval(launchBall, Math.max(40, dropIntervalMs));
+    const drop = running ? { n: ballsPerBatch, stagger: batchStagger(stepMs), every: dropIntervalMs / 1000 } : null;
+    hostRef.current.send({ type: "autoDrop", drop });
+  }, [running, dropIntervalMs, ballsPerBatch, stepMs]);
+
+  const advance = (by) => send({ type: "advance", by });
+
+  // Turbo: tally without animating, in chunks that yield back to the UI
+  const [turboN, setTurboN] = useState(100000);
+  const [turbo, setTurbo] = useState(null); // { done, total } while a run is active
+  const turboAbortRef = useRef(null);
+
+  const cancelTurbo = () => turboAbortRef.current?.abort();
+
+  const startTurbo = async () => {
+    cancelTurbo();
+    const controller = new AbortController();
+    turboAbortRef.current = controller;
+    setTurbo({ done: 0, total: turboN });
+    // each chunk waits for the simulation to tally it, so progress is real
+    let tallies = null;
+    const board = { tallyDirect: async (n) => { tallies = await hostRef.current?.request("tally", { n }); } };
+    await runTurbo(board, turboN, {
+      signal: controller.signal,
+      onProgress: (done, total) => setTurbo({ done, total }),
+    });
+    if (tallies && !controller.signal.aborted) latest.current?.onRunComplete?.(tallies);
+    if (turboAbortRef.current === controller) {
+      turboAbortRef.current = null;
+      setTurbo(null);
     }
-    return () => id && clearInterval(id);
-  }, [running, dropIntervalMs, rows, pRight]);
+  };
 
-  const reset = () => { ballsRef.current = []; setBinTallies(Array(binCount).fill(0)); };
+  // any new setup sent to the board (see the configure effect) invalidates
+  // whatever a running turbo was tallying into
+  useEffect(() => cancelTurbo, [rows, board, bias, seed, rng, stepMs, pegProbs, layout, sources, motion, physics]);
+
+  const reset = () => { cancelTurbo(); send({ type: "reset" }); };
+
+  // Lesson presets set the board up, then drop their balls on it once the
+  // new configuration has gone out
+  const [presetRun, setPresetRun] = useState(null); // { balls, stagger }
+  const applyPreset = ({ rows: n, bias: b, balls, numbers: shown }) => {
+    cancelTurbo();
+    changeRows(n);
+    setBoard(DEFAULT_BOARD);
+    setSources(null);
+    setBias(b);
+    setNumbers(shown);
+    setPresetRun({ balls, stagger: Math.min(batchStagger(stepMs), PRESET_DROP_S / Math.max(1, balls)) });
+  };
+  useEffect(() => {
+    if (!presetRun) return;
+    hostRef.current.send({ type: "reset" });
+    if (presetRun.balls) hostRef.current.send({ type: "drop", n: presetRun.balls, stagger: presetRun.stagger });
+  }, [presetRun]);
+
+  // Inference starts on a plain board with one funnel (the estimate assumes
+  // one p for every peg) with fresh tallies and no overlay that shows probabilities
+  const startInference = (fromSeed) => {
+    if (replay) exitReplay();
+    changeRows(rows);
+    setBoard(DEFAULT_BOARD);
+    setSources(null);
+    if (fromSeed) setBias(hiddenBias(seed));
+    setNumbers(null);
+    if (editMode === "probs") setEditMode(null);
+    changeTracing(false);
+    changeHeatmap(false);
+    reset();
+    setInference({ fromSeed, revealed: false });
+  };
 
-  const drawPegs = (ctx) => {
-    ctx.fillStyle = "#94a3b8";
-    pegRows.forEach((row) => { row.forEach((p) => { ctx.beginPath(); ctx.arc(p.x, p.y, pegRadius, 0, Math.PI * 2); ctx.fill(); }); });
+  // a new round hides a new bias when it comes from the seed
+  const newInferenceRound = () => {
+    setRunning(false);
+    if (inference.fromSeed) {
+      setSeed(seed + 1);
+      setBias(hiddenBias(seed + 1));
+    }
+    reset();
+    setInference({ ...inference, revealed: false });
   };
-  const drawGround = (ctx) => {
-    ctx.strokeStyle = "#cbd5e1"; ctx.lineWidth = 1;
-    const baseY = height - 20;
-    ctx.beginPath();
-    ctx.moveTo(boardCenterX - (rows * spacing) / 2 - spacing / 2, boardBottom);
-    ctx.lineTo(boardCenterX + (rows * spacing) / 2 + spacing / 2, boardBottom);
-    ctx.moveTo(boardCenterX - (rows * spacing) / 2 - spacing / 2, baseY);
-    ctx.lineTo(boardCenterX + (rows * spacing) / 2 + spacing / 2, baseY);
-    ctx.stroke();
+
+  // a bias hidden "from the seed" follows the seed until it is revealed
+  const changeSeed = (s) => {
+    setSeed(s);
+    if (biasHidden && inference.fromSeed) {
+      setBias(hiddenBias(s));
+      reset();
+    }
   };
 
-  const G = 1200;
-  const BOUNCE_VY = 120;
-  const AIR_DAMPING = 0.002;
+  const inferenceWarning = motion === "physics"
+    ? "The physics model has no coin at the pegs: this estimates its overall right-step rate, which the bias only tilts."
+    : !triangle
+      ? "The estimate reads each bin as a count of right steps, as on the triangle; on this board type it doesn't estimate p."
+      : pegProbs || layout
+      ? "Per-peg probabilities or layout edits are on, so the pegs don't share one p and the estimate is of their average."
+      : null;
+
+  // tallies carry over between models unless asked otherwise
+  const changeMotion = (m) => {
+    if (resetOnSwitch) reset();
+    setMotion(m);
+  };
 
-  useEffect(() => { ballsRef.current = []; setBinTallies(Array(rows + 1).fill(0)); }, [rows]);
+  // Recording swaps in a fresh, logging board; replay draws a player's board
+  // instead of the live one until "Back to live". Both happen in the host.
+  const [recordingActive, setRecordingActive] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [replay, setReplay] = useState(null); // { tick, playing, speed, view } while replaying
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    const ctx = canvas?.getContext("2d");
-    if (!ctx) return;
-
-    let last = performance.now();
-    let rafId = 0;
-
-    const easeInOut = (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
-
-    const step = (now) => {
-      const dt = Math.min(0.033, (now - last) / 1000);
-      last = now;
-
-      ballsRef.current.forEach((b) => {
-        if (b.done) return;
-        b.vy += G * dt;
-        b.vx *= (1 - AIR_DAMPING);
-        b.vy *= (1 - AIR_DAMPING * 0.5);
-
-        if (b.txActive) {
-          const u = clamp((now - b.txT0) / 1000 / b.txDur, 0, 1);
-          const k = easeInOut(u);
-          b.x = b.txStart + (b.txTarget - b.txStart) * k;
-          if (u >= 1) b.txActive = false;
-        } else {
-          b.x += b.vx * dt;
-        }
-
-        b.y += b.vy * dt;
-
-        if (b.row < b.rows && b.y >= b.rowYs[b.row]) {
-          const goRight = b.rng() < b.pRight ? 1 : -1;
-          if (goRight > 0) b.rights += 1;
-          b.vy = -Math.abs(BOUNCE_VY);
-          const leftBound = boardCenterX - (rows * spacing) / 2;
-          const rightBound = boardCenterX + (rows * spacing) / 2;
-          const targetX = clamp(b.x + goRight * (b.spacing / 2), leftBound + b.r, rightBound - b.r);
-          b.txStart = b.x; b.txTarget = targetX; b.txT0 = now; b.txDur = 0.14; b.txActive = true;
-          b.vx = 0; b.row += 1;
-        }
-
-        const leftWall = boardCenterX - (rows * spacing) / 2 - spacing / 2 + b.r;
-        const rightWall = boardCenterX + (rows * spacing) / 2 + spacing / 2 - b.r;
-        if (b.x < leftWall) { b.x = leftWall; b.vx = Math.abs(b.vx) * 0.6; }
-        if (b.x > rightWall) { b.x = rightWall; b.vx = -Math.abs(b.vx) * 0.6; }
-
-        if (b.y - b.r >= boardBottom) {
-          const idx = clamp(b.rights, 0, rows);
-          setBinTallies((prev) => { const next = prev.slice(); next[idx] += 1; return next; });
-          b.done = true;
-        }
-      });
-
-      ballsRef.current = ballsRef.current.filter((b) => !b.done);
-
-      ctx.clearRect(0, 0, width, height);
-      drawPegs(ctx);
-      drawGround(ctx);
-      ctx.fillStyle = "#0ea5e9";
-      ballsRef.current.forEach((b) => { ctx.beginPath(); ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2); ctx.fill(); });
-
-      rafId = requestAnimationFrame(step);
-    };
+  const startRecording = () => {
+    cancelTurbo();
+    send({ type: "record" });
+    setRecordingActive(true);
+  };
+
+  const stopRecording = async () => {
+    setRecording(await hostRef.current.request("stopRecording"));
+    setRecordingActive(false);
+  };
+
+  const startReplay = () => {
+    setRunning(false);
+    cancelTurbo();
+    send({ type: "replay", recording });
+    setReplay({ tick: 0, playing: true, speed: 1, view: null });
+  };
+
+  const exitReplay = () => {
+    send({ type: "exitReplay" });
+    setReplay(null);
+  };
+
+  const seekReplay = (tick) => {
+    send({ type: "seek", tick });
+    setReplay((r) => ({ ...r, tick }));
+  };
+
+  const toggleReplayPlaying = () => {
+    send({ type: "replayControl", playing: !replay.playing });
+    setReplay((r) => ({ ...r, playing: !r.playing }));
+  };
+
+  const changeReplaySpeed = (speed) => {
+    send({ type: "replayControl", speed });
+    setReplay((r) => ({ ...r, speed }));
+  };
+
+  // exports describe whatever the board shows, replay included
+  const shownBoard = async () => frozenBoard(await hostRef.current.request("snapshot"));
+
+  const exportData = async (kind) => {
+    const board = await shownBoard();
+    const extra = { ballsPerBatch, dropIntervalMs };
+    const name = `galton-${board.getConfig().rows}-rows`;
+    if (kind === "bins") downloadText(`${name}-bins.csv`, binsCsv(board, extra), "text/csv");
+    else if (kind === "paths") downloadText(`${name}-paths.csv`, pathsCsv(board, extra), "text/csv");
+    else downloadText(`${name}.json`, JSON.stringify(runJson(board, extra), null, 2));
+  };
 
-    rafId = requestAnimationFrame(step);
-    return () => cancelAnimationFrame(rafId);
-  }, [width, height, rows, spacing, boardCenterX, boardBottom, rowYs, G, BOUNCE_VY]);
+  const histRef = useRef(null);
+  const [imageScale, setImageScale] = useState(2);
+  const exportImage = async (kind) => {
+    const board = await shownBoard();
+    const chart = histRef.current?.querySelector("svg.recharts-surface");
+    const name = `galton-${board.getConfig().rows}-rows`;
+    const svg = (text) => new Blob([text], { type: "image/svg+xml" });
+    if (kind === "boardPng") downloadBlob(`${name}.png`, await boardPng(board, imageScale));
+    if (kind === "boardSvg") downloadBlob(`${name}.svg`, svg(boardSvg(board)));
+    // the chart exports need the histogram on screen
+    if (!chart) return;
+    if (kind === "chartSvg") downloadBlob(`${name}-histogram.svg`, svg(chartSvg(chart)));
+    if (kind === "figureSvg") downloadBlob(`${name}-figure.svg`, svg(figureSvg(board, chart)));
+    if (kind === "figurePng") downloadBlob(`${name}-figure.png`, await figurePng(board, chart, imageScale));
+  };
 
-  const histData = useMemo(() => binTallies.map((v, i) => ({ bin: `${i}`, count: v })), [binTallies]);
+  // tallies for a new board arrive a frame after its pmf
+  const liveTallies = binTallies.length === pmf.length ? binTallies : pmf.map(() => 0);
+  const liveSplit = sourceTallies?.[0]?.length === pmf.length ? sourceTallies : null;
+  const view = replay?.view ?? { tallies: liveTallies, sourceTallies: liveSplit, colors: sources?.map((s) => s.color) ?? null, pmf, labels: lattice.binLabels };
+  const bySource = view.colors && view.sourceTallies ? { tallies: view.sourceTallies, colors: view.colors } : null;
+  const totalBalls = view.tallies.reduce((a, b) => a + b, 0);
+  const { mean: expectedMean, variance: expectedVar } = pmfMoments(view.pmf);
+  const expectedSd = Math.sqrt(expectedVar);
+
+  useImperativeHandle(ref, () => ({
+    drop: (n = ballsPerBatch) => send({ type: "drop", n, stagger: batchStagger(stepMs) }),
+    reset,
+    start: () => setRunning(true),
+    stop: () => setRunning(false),
+    pause: () => setPaused(true),
+    resume: () => setPaused(false),
+    advanceFrame: () => advance("frame"),
+    advanceRow: () => advance("row"),
+    /** Parameters and the live tallies, as of the last sync from the simulation. */
+    getState: () => ({
+      rows, board, ballsPerBatch, dropIntervalMs, bias, stepMs, scale, seed, rng, motion, physics, pegProbs, layout, sources, running, paused, timeScale,
+      tallies: liveTallies.slice(),
+      totalBalls: liveTallies.reduce((a, b) => a + b, 0),
+    }),
+  }));
 
   return (
-    <div style={styles.page}>
-      <div style={styles.grid}>
+    <div ref={pageRef} style={styles.page}>
+      <div style={narrow ? styles.gridNarrow : styles.grid}>
         <div style={styles.card}>
           <div style={styles.row}>
             <h2 style={styles.h2}>Interactive Galton Board</h2>
-            <div style={styles.sub}>Rows: {rows} • Balls tallied: {totalBalls}</div>
+            <div style={styles.sub}>Rows: {rows} • Balls tallied: {totalBalls}{paused && !replay && " • Paused"}</div>
           </div>
           <div style={styles.btnRow}>
-            <button onClick={() => setRunning((r) => !r)} style={styles.btnPrimary}>{running ? "Stop" : "Start"}</button>
-            <button onClick={launchBall} style={styles.btnDark}>Drop 1</button>
-            <button onClick={reset} style={styles.btnLight}>Reset</button>
+            <button onClick={() => setRunning((r) => !r)} disabled={!!replay} style={styles.btnPrimary}>{running ? "Stop" : "Start"}</button>
+            <button onClick={launchBatch} disabled={!!replay} style={styles.btnDark}>Drop {ballsPerBatch}</button>
+            <button onClick={reset} disabled={!!replay} style={styles.btnLight}>Reset</button>
+            <button onClick={() => setPaused((p) => !p)} disabled={!!replay} style={styles.btnLight}>{paused ? "Resume" : "Pause"}</button>
+            {paused && (
+              <>
+                <button onClick={() => advance("frame")} disabled={!!replay} style={styles.btnLight} title={`Advance ${Math.round(FRAME_S * 1000)} ms of sim time`}>+1 frame</button>
+                <button onClick={() => advance("row")} disabled={!!replay} style={styles.btnLight} title="Advance until every falling ball is a row further down">+1 row</button>
+              </>
+            )}
+            {syncUrl && <button onClick={onCopyLink} style={styles.btnLight}>{copied ? "Copied!" : "Copy link"}</button>}
           </div>
-          <div style={styles.borderBox}>
-            <canvas ref={canvasRef} width={width} height={height} style={{ width: "100%", height: "auto", display: "block" }} />
+          <div ref={boardBoxRef} style={styles.borderBox} onClick={onCanvasClick} onMouseMove={onCanvasHover} onMouseLeave={() => setHoverPeg(null)}>
+            {heatmap && hoverPeg && visits?.pegs[hoverPeg.r] && (
+              <div style={{ ...styles.tooltip, position: "absolute", left: hoverPeg.left + 12, top: hoverPeg.top + 12, pointerEvents: "none" }}>
+                <div>Row {hoverPeg.r + 1}, peg {hoverPeg.i + 1}</div>
+                <div>Visits: {visits.pegs[hoverPeg.r][hoverPeg.i].toLocaleString()}</div>
+                <div>Expected: {visits.expected[hoverPeg.r][hoverPeg.i].toFixed(1)}</div>
+              </div>
+            )}
           </div>
         </div>
 
-        <div style={{ ...styles.card, ...styles.sidebar }}>
+        <div style={narrow ? styles.card : { ...styles.card, ...styles.sidebar }}>
           <h3 style={{ fontSize: 16, fontWeight: 600, marginTop: 0, marginBottom: 12 }}>Controls</h3>
           <div>
             <div style={styles.ctlGridRow}>
               <div style={styles.label}>Rows: {rows}</div>
-              <input type="range" min={5} max={20} value={rows} onChange={(e) => { setRunning(false); setRows(parseInt(e.target.value)); }} />
+              <input type="range" min={5} max={20} value={rows} onChange={(e) => changeRows(parseInt(e.target.value))} style={styles.range} />
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Board type</div>
+              <select value={board.type} onChange={(e) => changeBoard(boardOfType(e.target.value))} style={styles.select}>
+                {Object.entries(BOARD_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </div>
+            {board.type === "threeWay" && (
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>
+                  Straight on: {percent(board.straight)}
+                  {!biasHidden && ` • left ${percent((1 - board.straight) * (1 - pRight))} • right ${percent((1 - board.straight) * pRight)}`}
+                </div>
+                <input type="range" step={0.01} min={0} max={1} value={board.straight} onChange={(e) => changeBoard({ ...board, straight: parseFloat(e.target.value) })} style={styles.range} />
+              </div>
+            )}
+            {board.type === "rectangle" && (
+              <div style={styles.ctlGridRow}>
+                <div style={styles.label}>Bins: {board.bins}</div>
+                <input type="range" min={RECT_BINS.min} max={RECT_BINS.max} value={board.bins} onChange={(e) => changeBoard({ ...board, bins: parseInt(e.target.value) })} style={styles.range} />
+              </div>
+            )}
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Balls per batch: {ballsPerBatch}</div>
+              <input type="range" min={1} max={200} value={ballsPerBatch} onChange={(e) => setBallsPerBatch(parseInt(e.target.value))} style={styles.range} />
             </div>
             <div style={styles.ctlGridRow}>
               <div style={styles.label}>Drop interval (ms): {dropIntervalMs}</div>
-              <input type="range" min={40} max={1500} value={dropIntervalMs} onChange={(e) => { setRunning(false); setDropIntervalMs(parseInt(e.target.value)); }} />
+              <input type="range" min={40} max={1500} value={dropIntervalMs} onChange={(e) => { setRunning(false); setDropIntervalMs(parseInt(e.target.value)); }} style={styles.range} />
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Right probability: {biasHidden ? "hidden" : percent(pRight)}</div>
+              {biasHidden
+                ? <div style={{ ...styles.sub, fontSize: 12 }}>Estimate it below, then reveal it.</div>
+                : <input type="range" step={0.01} min={-0.25} max={0.25} value={bias} onChange={(e) => { setRunning(false); setBias(parseFloat(e.target.value)); }} style={styles.range} />}
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Speed (ms per step): {stepMs}</div>
+              <input type="range" min={60} max={500} value={stepMs} onChange={(e) => setStepMs(parseInt(e.target.value))} style={styles.range} />
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Time scale: {timeScale}×</div>
+              <input type="range" step={0.01} min={TIME_SCALE_LOG[0]} max={TIME_SCALE_LOG[1]} value={Math.log10(timeScale)} onChange={(e) => setTimeScale(readParam("timeScale", 10 ** parseFloat(e.target.value)))} style={styles.range} />
             </div>
             <div style={styles.ctlGridRow}>
-              <div style={styles.label}>Right probability: {(pRight * 100).toFixed(1)}%</div>
-              <input type="range" step={0.01} min={-0.25} max={0.25} value={bias} onChange={(e) => { setRunning(false); setBias(parseFloat(e.target.value)); }} />
+              <div style={styles.label}>Size / Scale: {scale.toFixed(2)}</div>
+              <input type="range" step={0.05} min={0.7} max={1.6} value={scale} onChange={(e) => setScale(parseFloat(e.target.value))} style={styles.range} />
             </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Random Seed: {seed}</div>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <input type="number" min={0} value={seed} onChange={(e) => changeSeed(Math.max(0, parseInt(e.target.value || 0)))} style={{ ...styles.numberInput, width: 80 }} />
+                <button style={styles.btnLight} onClick={() => changeSeed(Math.floor(Math.random() * 1e6))}>Randomize</button>
+              </div>
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Random generator</div>
+              <select value={rng} onChange={(e) => setRng(e.target.value)} style={styles.select}>
+                {Object.entries(GENERATORS).map(([k, g]) => <option key={k} value={k}>{g.label}</option>)}
+              </select>
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Motion model</div>
+              <select value={motion} onChange={(e) => changeMotion(e.target.value)} style={styles.select}>
+                <option value="step">Discrete steps</option>
+                <option value="gravity">Gravity + coin flip</option>
+                <option value="physics">Rigid-body physics</option>
+              </select>
+            </div>
+            <label style={{ ...styles.toggle, marginBottom: 12 }}>
+              <input type="checkbox" checked={resetOnSwitch} onChange={(e) => setResetOnSwitch(e.target.checked)} /> Reset tallies when switching model
+            </label>
+            {motion === "physics" && (
+              <>
+                <div style={styles.ctlGridRow}>
+                  <div style={styles.label}>Restitution: {physics.restitution.toFixed(2)}</div>
+                  <input type="range" step={0.01} min={0} max={1} value={physics.restitution} onChange={(e) => setPhysics((p) => ({ ...p, restitution: parseFloat(e.target.value) }))} style={styles.range} />
+                </div>
+                <div style={styles.ctlGridRow}>
+                  <div style={styles.label}>Friction: {physics.friction.toFixed(2)}</div>
+                  <input type="range" step={0.01} min={0} max={1} value={physics.friction} onChange={(e) => setPhysics((p) => ({ ...p, friction: parseFloat(e.target.value) }))} style={styles.range} />
+                </div>
+                <div style={{ ...styles.sub, fontSize: 12, marginBottom: 12 }}>
+                  Outcomes come from collisions alone; bias tilts the board, and per-peg probabilities and the three-way pegs&apos; straight-on chance are ignored. The histogram overlay still shows the idealized model for comparison.
+                </div>
+              </>
+            )}
+          </div>
+
+          {!biasHidden && (
+            <div style={{ marginTop: 16 }}>
+              <h4 style={{ ...styles.h4, marginBottom: 8 }}>Drop sources</h4>
+              <SourcesPanel sources={sources} span={lattice.lattice.span} bias={bias} pegProbs={triangle ? pegProbs : null} onChange={setSources} />
+            </div>
+          )}
+
+          <div style={{ marginTop: 16 }}>
+            <h4 style={{ ...styles.h4, marginBottom: 8 }}>Turbo (no animation)</h4>
+            <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+              <input type="number" min={1} max={TURBO_MAX} value={turboN} disabled={!!turbo} onChange={(e) => setTurboN(Math.min(TURBO_MAX, Math.max(1, parseInt(e.target.value || 1))))} style={styles.numberInput} />
+              {turbo
+                ? <button onClick={cancelTurbo} style={styles.btnLight}>Cancel</button>
+                : <button onClick={startTurbo} disabled={!!replay} style={styles.btnDark}>Tally</button>}
+            </div>
+            {turbo && (
+              <div>
+                <div style={styles.progressTrack}>
+                  <div style={{ ...styles.progressFill, width: `${(turbo.done / turbo.total) * 100}%` }} />
+                </div>
+                <div style={{ ...styles.sub, marginTop: 4 }}>{turbo.done.toLocaleString()} / {turbo.total.toLocaleString()}</div>
+              </div>
+            )}
           </div>
 
           <div style={{ marginTop: 16 }}>
             <div style={{ display: "flex", alignItems: "end", justifyContent: "space-between", marginBottom: 8 }}>
-              <h4 style={{ margin: 0, fontWeight: 600 }}>Live Histogram</h4>
-            </div>
-            <div style={{ height: 260 }}>
-              <ResponsiveContainer width="100%" height="100%">
-                <BarChart data={histData} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
-                  <CartesianGrid vertical={false} strokeDasharray="3 3" />
-                  <XAxis dataKey="bin" tick={{ fontSize: 12 }} label={{ value: "Bin", position: "insideBottom", offset: -5 }} />
-                  <YAxis allowDecimals={false} tick={{ fontSize: 12 }} />
-                  <Tooltip cursor={{ fill: "rgba(0,0,0,0.03)" }} />
-                  <Bar dataKey="count" radius={[6, 6, 0, 0]} />
-                </BarChart>
-              </ResponsiveContainer>
+              <h4 style={styles.h4}>Live Histogram</h4>
+              {!biasHidden && <div style={{ fontSize: 12, color: "#64748b" }}>E[X] ≈ {expectedMean.toFixed(2)}, SD ≈ {expectedSd.toFixed(2)}</div>}
+            </div>
+            <div ref={histRef}>
+              <Histogram tallies={view.tallies} pmf={biasHidden ? null : view.pmf} labels={view.labels} bySource={bySource} />
+            </div>
+          </div>
+
+          <div style={{ marginTop: 16 }}>
+            <h4 style={{ ...styles.h4, marginBottom: 8 }}>Estimate the bias</h4>
+            <InferencePanel
+              tallies={liveTallies}
+              rows={rows}
+              pRight={pRight}
+              inference={inference}
+              onStart={startInference}
+              onReveal={() => setInference({ ...inference, revealed: true })}
+              onHide={newInferenceRound}
+              onExit={() => setInference(null)}
+              warning={inferenceWarning}
+            />
+          </div>
+
+          {!biasHidden && (
+            <div style={{ marginTop: 16 }}>
+              <h4 style={{ ...styles.h4, marginBottom: 8 }}>Statistics</h4>
+              <StatsPanel tallies={view.tallies} pmf={view.pmf} />
+            </div>
+          )}
+
+          <div style={{ marginTop: 16 }}>
+            <h4 style={{ ...styles.h4, marginBottom: 8 }}>Random numbers</h4>
+            <RngPanel kind={rng} seed={seed} rows={rows} />
+          </div>
+
+          {!biasHidden && (
+            <>
+              <div style={{ marginTop: 16 }}>
+                <h4 style={{ ...styles.h4, marginBottom: 8 }}>Export data</h4>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  <button style={styles.btnLight} onClick={() => exportData("bins")}>Bins CSV</button>
+                  <button style={styles.btnLight} onClick={() => exportData("paths")}>Ball paths CSV</button>
+                  <button style={styles.btnLight} onClick={() => exportData("json")}>All as JSON</button>
+                </div>
+                <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+                  Paths list each animated ball's moves (L, R, or - through a gap or straight on off a three-way peg). Turbo tallies and physics balls have no recorded path.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 16 }}>
+                <h4 style={{ ...styles.h4, marginBottom: 8 }}>Export image</h4>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+                  <span style={styles.label}>PNG size</span>
+                  <select value={imageScale} onChange={(e) => setImageScale(parseInt(e.target.value))} style={styles.select}>
+                    {IMAGE_SCALES.map((k) => <option key={k} value={k}>{k}× ({width * k} × {height * k} px)</option>)}
+                  </select>
+                </div>
+                <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                  <button style={styles.btnLight} onClick={() => exportImage("boardPng")}>Board PNG</button>
+                  <button style={styles.btnLight} onClick={() => exportImage("boardSvg")}>Board SVG</button>
+                  <button style={styles.btnLight} onClick={() => exportImage("chartSvg")}>Histogram SVG</button>
+                  <button style={styles.btnLight} onClick={() => exportImage("figurePng")}>Figure PNG</button>
+                  <button style={styles.btnLight} onClick={() => exportImage("figureSvg")}>Figure SVG</button>
+                </div>
+                <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+                  The figure puts the board and the histogram side by side with a caption of the run&apos;s parameters.
+                </div>
+              </div>
+
+              <div style={{ marginTop: 16 }}>
+                <h4 style={{ ...styles.h4, marginBottom: 8 }}>Record &amp; replay</h4>
+                <ReplayPanel
+                  recording={recording}
+                  recordingActive={recordingActive}
+                  onRecord={startRecording}
+                  onStop={stopRecording}
+                  onLoad={setRecording}
+                  replay={replay}
+                  onReplay={startReplay}
+                  onExit={exitReplay}
+                  onPlayPause={toggleReplayPlaying}
+                  onSpeedChange={changeReplaySpeed}
+                  onSeek={seekReplay}
+                />
+              </div>
+
+              <div style={{ marginTop: 16 }}>
+                <h4 style={{ ...styles.h4, marginBottom: 8 }}>Overlays</h4>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+                  <span style={styles.label}>Numbers</span>
+                  <select value={numbers ?? ""} onChange={(e) => setNumbers(e.target.value || null)} style={styles.select}>
+                    {Object.entries(NUMBERS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </div>
+                <TracePanel
+                  tracing={tracing}
+                  onTracingChange={changeTracing}
+                  trace={trace}
+                  labels={view.labels}
+                  heatmap={heatmap}
+                  onHeatmapChange={changeHeatmap}
+                  visits={visits}
+                />
+              </div>
+
+              <div style={{ marginTop: 16 }}>
+                <h4 style={{ ...styles.h4, marginBottom: 8 }}>Step through</h4>
+                <StepThroughPanel
+                  key={`${rows}-${board.type}-${lattice.binLabels.length}`}
+                  rows={rows}
+                  board={board}
+                  bias={bias}
+                  pegProbs={pegProbs}
+                  layout={layout}
+                  seed={seed}
+                  rng={rng}
+                  labels={lattice.binLabels}
+                  onBallChange={setWalkthrough}
+                />
+              </div>
+
+              {triangle && (
+                <div style={{ marginTop: 16 }}>
+                  <h4 style={{ ...styles.h4, marginBottom: 8 }}>Peg probabilities</h4>
+                  <PegEditor
+                    rows={rows}
+                    pRight={pRight}
+                    pegProbs={pegProbs}
+                    onChange={setPegProbs}
+                    editing={editMode === "probs"}
+                    onEditingChange={(on) => setEditMode(on ? "probs" : null)}
+                    selected={selectedPeg}
+                  />
+                </div>
+              )}
+            </>
+          )}
+
+          {triangle && (
+            <div style={{ marginTop: 16 }}>
+              <h4 style={{ ...styles.h4, marginBottom: 8 }}>Board layout</h4>
+              <LayoutEditor
+                rows={rows}
+                layout={layout}
+                onChange={setLayout}
+                onLoad={(l) => (l.rows === rows ? setLayout(l) : changeRows(l.rows, l))}
+                editing={editMode === "layout"}
+                onEditingChange={(on) => setEditMode(on ? "layout" : null)}
+                tool={layoutTool}
+                onToolChange={setLayoutTool}
+                funnelWidth={funnelWidth}
+                onFunnelWidthChange={setFunnelWidth}
+              />
+            </div>
+          )}
+
+          {!biasHidden && (
+            <div style={{ marginTop: 16 }}>
+              <h4 style={{ ...styles.h4, marginBottom: 8 }}>Guided lesson</h4>
+              <LessonPanel onApply={applyPreset} />
             </div>
+          )}
+
+          <div style={{ marginTop: 16, fontSize: 13, color: "#475569" }}>
+            <p style={{ margin: 0 }}>
+              {motion === "step" && "The discrete step model moves each ball one eased left/right step per row, the classic quincunx logic."}
+              {motion === "gravity" && "The gravity model lets balls fall and bounce, with a biased coin deciding the side at each peg."}
+              {motion === "physics" && "The physics model has no coin at all: balls collide with pegs and each other, and the spread comes from the dynamics."}
+            </p>
           </div>
         </div>
       </div>
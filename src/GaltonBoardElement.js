@@ -0,0 +1,151 @@
+// <galton-board> custom element for pages without React:
+//
+//   <galton-board rows="12" bias="0.1" motion="step" running></galton-board>
+//
+// `running` and `paused` are boolean attributes.
+//
+// Attributes set the board's parameters and follow its controls (a changed
+// slider is written back to its attribute). The element fires "ball-landed"
+// ({ bin, path, source }), "tallies-change" ({ tallies }), "run-complete"
+// ({ tallies }) and "change" ({ name, value }) events, and has the methods
+// drop(n), reset(), start(), stop(), pause(), resume(), advanceFrame(),
+// advanceRow() and getState().
+import { createElement } from "react";
+import { createRoot } from "react-dom/client";
+import GaltonBoard from "./GaltonBoard.jsx";
+import { readParam } from "./urlState.js";
+
+// attribute -> [GaltonBoard prop, URL_PARAMS key that validates it]
+const ATTRIBUTES = {
+  rows: ["rows", "rows"],
+  "balls-per-batch": ["ballsPerBatch", "ballsPerBatch"],
+  "drop-interval": ["dropIntervalMs", "interval"],
+  bias: ["bias", "bias"],
+  "step-ms": ["stepMs", "stepMs"],
+  scale: ["scale", "scale"],
+  seed: ["seed", "seed"],
+  rng: ["rng", "rng"],
+  motion: ["motion", "motion"],
+  "time-scale": ["timeScale", "timeScale"],
+};
+// props without an attribute, only reported through "change"
+const PROPERTIES = ["board", "physics", "pegProbs", "layout", "sources"];
+
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+export class GaltonBoardElement extends HTMLElement {
+  static observedAttributes = [...Object.keys(ATTRIBUTES), "running", "paused"];
+
+  #root = null;
+  #api = null;
+  #queued = []; // method calls made before the board first rendered
+
+  connectedCallback() {
+    if (!this.shadowRoot) this.attachShadow({ mode: "open" });
+    const container = document.createElement("div");
+    this.shadowRoot.replaceChildren(container);
+    this.#root = createRoot(container);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#root?.unmount();
+    this.#root = null;
+    this.#api = null;
+  }
+
+  attributeChangedCallback() {
+    this.#render();
+  }
+
+  drop(n) {
+    this.#call("drop", n);
+  }
+
+  reset() {
+    this.#call("reset");
+  }
+
+  start() {
+    this.toggleAttribute("running", true);
+  }
+
+  stop() {
+    this.toggleAttribute("running", false);
+  }
+
+  pause() {
+    this.toggleAttribute("paused", true);
+  }
+
+  resume() {
+    this.toggleAttribute("paused", false);
+  }
+
+  advanceFrame() {
+    this.#call("advanceFrame");
+  }
+
+  advanceRow() {
+    this.#call("advanceRow");
+  }
+
+  /** See GaltonBoard's ref; null until the element is in the document and rendered. */
+  getState() {
+    return this.#api?.getState() ?? null;
+  }
+
+  #call(method, ...args) {
+    if (this.#api) this.#api[method](...args);
+    else this.#queued.push([method, args]);
+  }
+
+  #fire(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  #setApi = (api) => {
+    this.#api = api;
+    if (!api) return;
+    const queued = this.#queued;
+    this.#queued = [];
+    queued.forEach(([method, args]) => api[method](...args));
+  };
+
+  #render() {
+    if (!this.#root) return;
+    const props = {
+      ref: this.#setApi,
+      running: this.hasAttribute("running"),
+      onRunningChange: (on) => {
+        this.toggleAttribute("running", on);
+        this.#fire("change", { name: "running", value: on });
+      },
+      paused: this.hasAttribute("paused"),
+      onPausedChange: (on) => {
+        this.toggleAttribute("paused", on);
+        this.#fire("change", { name: "paused", value: on });
+      },
+      onBallLanded: (bin, path, source) => this.#fire("ball-landed", { bin, path, source }),
+      onTalliesChange: (tallies) => this.#fire("tallies-change", { tallies }),
+      onRunComplete: (tallies) => this.#fire("run-complete", { tallies }),
+    };
+    Object.entries(ATTRIBUTES).forEach(([attr, [name, key]]) => {
+      const value = readParam(key, this.getAttribute(attr));
+      if (value !== undefined) props[name] = value;
+      props[`on${capitalize(name)}Change`] = (v) => {
+        this.setAttribute(attr, String(v));
+        this.#fire("change", { name, value: v });
+      };
+    });
+    PROPERTIES.forEach((name) => {
+      props[`on${capitalize(name)}Change`] = (value) => this.#fire("change", { name, value });
+    });
+    this.#root.render(createElement(GaltonBoard, props));
+  }
+}
+
+/** Register the element, by default as <galton-board>. */
+export function defineGaltonBoardElement(name = "galton-board") {
+  if (!customElements.get(name)) customElements.define(name, GaltonBoardElement);
+}
@@ -0,0 +1,135 @@
+import React, { useMemo, useState } from "react";
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from "recharts";
+import { cumulative, normalPdf, normalCdf, pmfMoments } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const VIEWS = { count: "Counts", relative: "Relative freq.", cdf: "Cumulative" };
+const OVERLAYS = { none: "No overlay", line: "Expected (line)", ghost: "Expected (bars)" };
+
+// each source's share of the observed bar, as `source0`, `source1`, ...
+const splitBySource = (series, bySource, view, total) => series.map((d, k) => {
+  const part = {};
+  bySource.tallies.forEach((t, s) => {
+    part[`source${s}`] = view === "relative" ? (total ? t[k] / total : 0) : t[k];
+  });
+  return { ...d, ...part };
+});
+
+// observed / expected / normal-approximation series in the units of `view`;
+// observed only without a pmf
+function buildSeries(tallies, pmf, view, labels, bySource) {
+  const total = tallies.reduce((a, b) => a + b, 0);
+  if (bySource && view !== "cdf") return splitBySource(buildSeries(tallies, pmf, view, labels, null), bySource, view, total);
+  if (!pmf) {
+    const shares = tallies.map((v) => (total ? v / total : 0));
+    const obs = view === "cdf" ? (total ? cumulative(shares) : shares) : view === "relative" ? shares : tallies;
+    return tallies.map((_, k) => ({ bin: labels?.[k] ?? `${k}`, observed: obs[k] }));
+  }
+  const { mean, variance } = pmfMoments(pmf);
+  const sd = Math.sqrt(variance);
+
+  if (view === "cdf") {
+    const obs = cumulative(tallies.map((v) => (total ? v / total : 0)));
+    const exp = cumulative(pmf);
+    return tallies.map((_, k) => ({
+      bin: labels?.[k] ?? `${k}`,
+      observed: total ? obs[k] : 0,
+      expected: exp[k],
+      normal: normalCdf(k + 0.5, mean, sd), // continuity correction
+    }));
+  }
+
+  const unit = view === "relative" ? 1 : total;
+  return tallies.map((v, k) => ({
+    bin: labels?.[k] ?? `${k}`,
+    observed: view === "relative" ? (total ? v / total : 0) : v,
+    expected: unit * pmf[k],
+    normal: unit * Math.min(1, normalPdf(k, mean, sd)),
+  }));
+}
+
+const fmt = (view, v) => (view === "count" ? v.toFixed(Number.isInteger(v) ? 0 : 1) : `${(v * 100).toFixed(2)}%`);
+
+function HistTooltip({ active, payload, view, bySource }) {
+  if (!active || !payload?.length) return null;
+  const d = payload[0].payload;
+  const residual = d.observed - d.expected;
+  return (
+    <div style={styles.tooltip}>
+      <div style={{ fontWeight: 600, marginBottom: 2 }}>Bin {d.bin}</div>
+      <div>Observed: {fmt(view, d.observed)}</div>
+      {bySource && view !== "cdf" && bySource.colors.map((color, s) => (
+        <div key={s} style={{ color }}>Source {s + 1}: {fmt(view, d[`source${s}`])}</div>
+      ))}
+      {d.expected !== undefined && (
+        <>
+          <div>Expected: {fmt(view, d.expected)}</div>
+          <div>Residual: {residual >= 0 ? "+" : "−"}{fmt(view, Math.abs(residual))}</div>
+          {view === "count" && d.expected > 0 && <div>Std. residual: {(residual / Math.sqrt(d.expected)).toFixed(2)}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Live histogram of bin tallies with an optional theoretical overlay: the
+ * board's exact expected counts (line or ghost bars) and the normal
+ * approximation with the same mean and variance. With `pmf` null only the
+ * tallies are drawn. `bySource`, `{ tallies, colors }` with the tallies of
+ * each drop source, stacks the bars by source (except in the cumulative view).
+ */
+export default function Histogram({ tallies, pmf, labels, bySource = null }) {
+  const [view, setView] = useState("count");
+  const [overlay, setOverlay] = useState("line");
+  const [showNormal, setShowNormal] = useState(false);
+
+  const data = useMemo(() => buildSeries(tallies, pmf, view, labels, bySource), [tallies, pmf, view, labels, bySource]);
+  const stacked = bySource && view !== "cdf";
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 8 }}>
+        <select value={view} onChange={(e) => setView(e.target.value)} style={styles.select}>
+          {Object.entries(VIEWS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        {pmf && (
+          <>
+            <select value={overlay} onChange={(e) => setOverlay(e.target.value)} style={styles.select}>
+              {Object.entries(OVERLAYS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <label style={styles.toggle}>
+              <input type="checkbox" checked={showNormal} onChange={(e) => setShowNormal(e.target.checked)} /> Normal
+            </label>
+          </>
+        )}
+      </div>
+      <div style={{ height: 260 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={data} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+            <CartesianGrid vertical={false} strokeDasharray="3 3" />
+            <XAxis dataKey="bin" tick={{ fontSize: 12 }} label={{ value: "Bin", position: "insideBottom", offset: -5 }} />
+            {/* second, hidden axis so ghost bars sit on top of the observed ones */}
+            <XAxis dataKey="bin" xAxisId="ghost" hide />
+            <YAxis allowDecimals={view !== "count"} tick={{ fontSize: 12 }} tickFormatter={(v) => (view === "count" ? v : `${Math.round(v * 100)}%`)} />
+            <Tooltip cursor={{ fill: "rgba(0,0,0,0.03)" }} content={<HistTooltip view={view} bySource={bySource} />} />
+            {stacked
+              ? bySource.colors.map((color, s) => (
+                <Bar key={s} dataKey={`source${s}`} stackId="sources" fill={color} radius={s === bySource.colors.length - 1 ? [6, 6, 0, 0] : 0} isAnimationActive={false} />
+              ))
+              : <Bar dataKey="observed" radius={[6, 6, 0, 0]} fill="#0ea5e9" isAnimationActive={false} />}
+            {pmf && overlay === "ghost" && (
+              <Bar dataKey="expected" xAxisId="ghost" radius={[6, 6, 0, 0]} fill="rgba(15, 23, 42, 0.06)" stroke="#0f172a" strokeDasharray="3 3" isAnimationActive={false} />
+            )}
+            {pmf && overlay === "line" && (
+              <Line dataKey="expected" type="linear" stroke="#0f172a" strokeWidth={1.5} dot={{ r: 2 }} isAnimationActive={false} />
+            )}
+            {pmf && showNormal && (
+              <Line dataKey="normal" type="monotone" stroke="#f97316" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
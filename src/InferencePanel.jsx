@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine, ReferenceArea } from "recharts";
+import { estimateP, betaPdf, PRIORS } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const LEVELS = [0.8, 0.9, 0.95, 0.99];
+const POINTS = 161; // density samples across the plotted range
+const SPAN_SDS = 5; // the plot shows the posterior mean ± this many SDs
+
+const num = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+const cell = { padding: "2px 4px", textAlign: "right", fontVariantNumeric: "tabular-nums" };
+
+// prior and posterior densities over the part of [0, 1] where the posterior is
+function densitySeries(prior, posterior) {
+  const wide = posterior.sd * SPAN_SDS;
+  const lo = Math.max(0, posterior.mean - wide);
+  const hi = Math.min(1, posterior.mean + wide);
+  // midpoints, so U-shaped priors stay finite at 0 and 1
+  return Array.from({ length: POINTS }, (_, i) => {
+    const p = lo + ((i + 0.5) / POINTS) * (hi - lo);
+    return { p, prior: betaPdf(p, prior.a, prior.b), posterior: betaPdf(p, posterior.a, posterior.b) };
+  });
+}
+
+/**
+ * Inference mode: estimate the board's hidden right-step probability from
+ * its tallies, by maximum likelihood and as a Beta posterior under an
+ * adjustable prior, then reveal the truth to compare. `inference` is
+ * `{ fromSeed, revealed }` while the mode is on, else null.
+ */
+export default function InferencePanel({ tallies, rows, pRight, inference, onStart, onReveal, onHide, onExit, warning }) {
+  const [priorKind, setPriorKind] = useState("uniform");
+  const [prior, setPrior] = useState({ a: PRIORS.uniform.a, b: PRIORS.uniform.b });
+  const [level, setLevel] = useState(0.95);
+
+  const est = useMemo(() => estimateP(tallies, rows, prior, level), [tallies, rows, prior, level]);
+  const series = useMemo(() => densitySeries(prior, est.posterior), [prior, est.posterior]);
+
+  if (!inference) {
+    return (
+      <div>
+        <div style={{ ...styles.sub, fontSize: 12, marginBottom: 8 }}>
+          Hide the right probability and estimate it from the tallies alone, then reveal it and see how close you got.
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+          <button style={styles.btnLight} onClick={() => onStart(false)}>Hide current bias</button>
+          <button style={styles.btnLight} onClick={() => onStart(true)}>Hide a bias from the seed</button>
+        </div>
+      </div>
+    );
+  }
+
+  const choosePrior = (kind) => {
+    setPriorKind(kind);
+    if (PRIORS[kind]) setPrior({ a: PRIORS[kind].a, b: PRIORS[kind].b });
+  };
+  const setShape = (key, v) => {
+    setPriorKind("custom");
+    setPrior((p) => ({ ...p, [key]: v > 0 ? v : p[key] }));
+  };
+
+  const [lo, hi] = est.interval;
+  const pct = `${Math.round(level * 100)}%`;
+  const covered = pRight >= lo && pRight <= hi;
+  const rowsTable = [
+    ["Balls", est.balls.toLocaleString()],
+    ["Right steps / trials", `${est.right.toLocaleString()} / ${est.trials.toLocaleString()}`],
+    ["MLE p̂ ± SE", `${num(est.mle, 4)} ± ${num(est.se, 4)}`],
+    ["Posterior mean ± SD", `${num(est.posterior.mean, 4)} ± ${num(est.posterior.sd, 4)}`],
+    [`${pct} credible interval`, `${num(lo, 4)} – ${num(hi, 4)}`],
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 8 }}>
+        <div style={{ ...styles.label, marginBottom: 4 }}>Prior</div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+          <select value={priorKind} onChange={(e) => choosePrior(e.target.value)} style={styles.select}>
+            {Object.entries(PRIORS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+            <option value="custom">Custom</option>
+          </select>
+          <span style={styles.label}>a</span>
+          <input type="number" min={0.1} step={0.5} value={prior.a} onChange={(e) => setShape("a", parseFloat(e.target.value))} style={{ ...styles.numberInput, width: 64 }} />
+          <span style={styles.label}>b</span>
+          <input type="number" min={0.1} step={0.5} value={prior.b} onChange={(e) => setShape("b", parseFloat(e.target.value))} style={{ ...styles.numberInput, width: 64 }} />
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+        <span style={styles.label}>Credible level</span>
+        <select value={level} onChange={(e) => setLevel(parseFloat(e.target.value))} style={styles.select}>
+          {LEVELS.map((l) => <option key={l} value={l}>{Math.round(l * 100)}%</option>)}
+        </select>
+      </div>
+
+      <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse", color: "#334155" }}>
+        <tbody>
+          {rowsTable.map(([label, value]) => (
+            <tr key={label}>
+              <td style={{ ...cell, textAlign: "left" }}>{label}</td>
+              <td style={cell}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 12, marginBottom: 4 }}>Prior (dashed) and posterior density of p</div>
+      <div style={{ height: 160 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={series} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+            <CartesianGrid vertical={false} strokeDasharray="3 3" />
+            <XAxis dataKey="p" type="number" domain={["dataMin", "dataMax"]} tick={{ fontSize: 10 }} tickFormatter={(v) => num(v, 2)} />
+            <YAxis tick={{ fontSize: 10 }} width={36} tickFormatter={(v) => num(v, 0)} />
+            <Tooltip formatter={(v) => num(v, 2)} labelFormatter={(p) => `p = ${num(p, 4)}`} />
+            <ReferenceArea x1={lo} x2={hi} fill="#0ea5e9" fillOpacity={0.12} />
+            {Number.isFinite(est.mle) && <ReferenceLine x={est.mle} stroke="#0f172a" strokeDasharray="2 2" />}
+            {inference.revealed && <ReferenceLine x={pRight} stroke="#dc2626" strokeWidth={2} />}
+            <Line dataKey="prior" name="prior" stroke="#94a3b8" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+            <Line dataKey="posterior" name="posterior" stroke="#0ea5e9" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 4 }}>
+        Shaded: the {pct} credible interval. Dotted: the MLE.{inference.revealed && " Red: the true p."}
+      </div>
+
+      {inference.revealed && (
+        <div style={{ fontSize: 13, color: "#334155", marginTop: 8 }}>
+          True p = {num(pRight, 2)}. The MLE is off by {num(Math.abs(est.mle - pRight), 4)}, and the interval{" "}
+          <strong style={{ color: covered ? "#16a34a" : "#dc2626" }}>{covered ? "contains" : "misses"}</strong> it.
+        </div>
+      )}
+      {warning && <div style={{ fontSize: 12, color: "#b45309", marginTop: 8 }}>{warning}</div>}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8 }}>
+        {inference.revealed
+          ? <button style={styles.btnDark} onClick={onHide}>New round</button>
+          : <button style={styles.btnDark} onClick={onReveal}>Reveal</button>}
+        <button style={styles.btnLight} onClick={onExit}>Leave inference mode</button>
+      </div>
+      {!inference.revealed && (
+        <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+          Panels that would give the bias away are hidden until you reveal it.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useRef, useState } from "react";
+import { parseLayout } from "./engine/index.js";
+import { downloadText, readFileText } from "./download.js";
+import { styles } from "./styles.js";
+
+const LAYOUT_TOOLS = {
+  peg: "Remove / restore peg",
+  wallLeft: "Wall on left of peg",
+  wallRight: "Wall on right of peg",
+  funnel: "Funnel (click mouth's left peg)",
+  block: "Block / unblock bin",
+  merge: "Merge bin with next",
+};
+
+/**
+ * Sidebar controls for editing the board layout. The actual edits happen on
+ * canvas clicks in GaltonBoard, using the tool chosen here.
+ */
+export default function LayoutEditor({ rows, layout, onChange, onLoad, editing, onEditingChange, tool, onToolChange, funnelWidth, onFunnelWidthChange }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const save = () => downloadText(`galton-layout-${rows}-rows.json`, JSON.stringify(layout ?? { rows }, null, 2));
+
+  const load = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoad(parseLayout(JSON.parse(await readFileText(file))));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <label style={{ ...styles.toggle, marginBottom: 8 }}>
+        <input type="checkbox" checked={editing} onChange={(e) => onEditingChange(e.target.checked)} /> Edit layout on the board
+      </label>
+      {editing && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 8 }}>
+          <select value={tool} onChange={(e) => onToolChange(e.target.value)} style={styles.select}>
+            {Object.entries(LAYOUT_TOOLS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          {tool === "funnel" && (
+            <label style={styles.toggle}>
+              width <input type="number" min={2} max={rows} value={funnelWidth} onChange={(e) => onFunnelWidthChange(Math.max(2, Math.min(rows, parseInt(e.target.value || 2))))} style={{ ...styles.numberInput, width: 56 }} />
+            </label>
+          )}
+        </div>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <button style={styles.btnLight} onClick={save}>Save JSON</button>
+        <button style={styles.btnLight} onClick={() => fileRef.current?.click()}>Load JSON</button>
+        <button style={styles.btnLight} disabled={!layout} onClick={() => onChange(null)}>Clear</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={load} style={{ display: "none" }} />
+      </div>
+      {error && <div style={{ fontSize: 12, color: "#b91c1c", marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
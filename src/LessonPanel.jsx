@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { LESSONS } from "./lessons.js";
+import { styles } from "./styles.js";
+
+/**
+ * The optional guided lesson: one step at a time, each with a button that
+ * sets the board up for it through `onApply(preset)`.
+ */
+export default function LessonPanel({ onApply }) {
+  const [step, setStep] = useState(null); // index into LESSONS while the lesson is open
+
+  if (step === null) {
+    return (
+      <div>
+        <div style={{ ...styles.sub, fontSize: 12, marginBottom: 8 }}>
+          A short walk from a single ball to the bell curve, with a preset board for each step.
+        </div>
+        <button style={styles.btnLight} onClick={() => setStep(0)}>Start guided lesson</button>
+      </div>
+    );
+  }
+
+  const lesson = LESSONS[step];
+  return (
+    <div>
+      <div style={{ ...styles.sub, fontSize: 12 }}>Step {step + 1} of {LESSONS.length}</div>
+      <div style={{ fontSize: 14, fontWeight: 600, margin: "2px 0 6px" }}>{lesson.title}</div>
+      <p style={{ fontSize: 13, color: "#475569", marginTop: 0 }}>{lesson.text}</p>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <button style={styles.btnDark} onClick={() => onApply(lesson.preset)}>
+          Set up: {lesson.preset.rows} rows{lesson.preset.balls ? `, ${lesson.preset.balls.toLocaleString()} balls` : ""}
+        </button>
+        <button style={styles.btnLight} disabled={step === 0} onClick={() => setStep(step - 1)}>Back</button>
+        {step < LESSONS.length - 1
+          ? <button style={styles.btnLight} onClick={() => setStep(step + 1)}>Next</button>
+          : <button style={styles.btnLight} onClick={() => setStep(null)}>Finish</button>}
+      </div>
+    </div>
+  );
+}
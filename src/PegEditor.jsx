@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { rowGradient, halfSplit, setPeg, pegProbability } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const PATTERNS = {
+  gradient: { label: "Gradient by row", a: "Top row", b: "Bottom row", build: rowGradient },
+  split: { label: "Left / right split", a: "Left half", b: "Right half", build: halfSplit },
+};
+
+const pct = (p) => `${(p * 100).toFixed(0)}%`;
+
+/**
+ * Sidebar controls for per-peg right-step probabilities: edit the peg
+ * selected on the canvas, or apply a whole-board pattern.
+ */
+export default function PegEditor({ rows, pRight, pegProbs, onChange, editing, onEditingChange, selected }) {
+  const [pattern, setPattern] = useState("gradient");
+  const [a, setA] = useState(0.3);
+  const [b, setB] = useState(0.7);
+  const spec = PATTERNS[pattern];
+  const selectedP = selected ? pegProbability(pegProbs, selected.r, selected.i, pRight) : null;
+
+  return (
+    <div>
+      <label style={{ ...styles.toggle, marginBottom: 8 }}>
+        <input type="checkbox" checked={editing} onChange={(e) => onEditingChange(e.target.checked)} /> Click a peg on the board to edit it
+      </label>
+
+      {editing && selected && (
+        <div style={styles.ctlGridRow}>
+          <div style={styles.label}>Row {selected.r + 1}, peg {selected.i + 1}: P(right) {pct(selectedP)}</div>
+          <input type="range" step={0.01} min={0} max={1} value={selectedP} onChange={(e) => onChange(setPeg(pegProbs, rows, selected.r, selected.i, parseFloat(e.target.value), pRight))} style={styles.range} />
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+        <select value={pattern} onChange={(e) => setPattern(e.target.value)} style={styles.select}>
+          {Object.entries(PATTERNS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+        </select>
+      </div>
+      <div style={styles.ctlGridRow}>
+        <div style={styles.label}>{spec.a}: {pct(a)}</div>
+        <input type="range" step={0.01} min={0} max={1} value={a} onChange={(e) => setA(parseFloat(e.target.value))} style={styles.range} />
+      </div>
+      <div style={styles.ctlGridRow}>
+        <div style={styles.label}>{spec.b}: {pct(b)}</div>
+        <input type="range" step={0.01} min={0} max={1} value={b} onChange={(e) => setB(parseFloat(e.target.value))} style={styles.range} />
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button style={styles.btnDark} onClick={() => onChange(spec.build(rows, a, b))}>Apply pattern</button>
+        <button style={styles.btnLight} disabled={!pegProbs} onClick={() => onChange(null)}>Clear</button>
+      </div>
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+        {pegProbs
+          ? "Pegs differ, so bins follow a Poisson-binomial distribution; the histogram overlay shows its exact values."
+          : `Every peg uses P(right) = ${pct(pRight)}, so bins are Binomial(${rows}, ${pRight.toFixed(2)}).`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useRef, useState } from "react";
+import { parseRecording, TICK } from "./engine/index.js";
+import { downloadText, readFileText } from "./download.js";
+import { styles } from "./styles.js";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+const secs = (ticks) => `${(ticks * TICK).toFixed(1)} s`;
+
+/**
+ * Sidebar controls for recording a run and replaying it: record / stop,
+ * JSON export and import, then play / pause, speed and a timeline scrubber.
+ */
+export default function ReplayPanel({ recording, recordingActive, onRecord, onStop, onLoad, replay, onReplay, onExit, onPlayPause, onSpeedChange, onSeek }) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const save = () => downloadText(`galton-recording-${recording.config.rows}-rows.json`, JSON.stringify(recording));
+
+  const load = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoad(parseRecording(JSON.parse(await readFileText(file))));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (replay) {
+    return (
+      <div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+          <button style={styles.btnPrimary} onClick={onPlayPause}>{replay.playing ? "Pause" : "Play"}</button>
+          <select value={replay.speed} onChange={(e) => onSpeedChange(parseFloat(e.target.value))} style={styles.select}>
+            {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+          <button style={styles.btnLight} onClick={onExit}>Back to live</button>
+        </div>
+        <input type="range" min={0} max={recording.ticks} value={replay.tick} onChange={(e) => onSeek(parseInt(e.target.value))} style={styles.range} />
+        <div style={{ ...styles.sub, fontSize: 12 }}>{secs(replay.tick)} / {secs(recording.ticks)}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        {recordingActive
+          ? <button style={styles.btnDark} onClick={onStop}>Stop recording</button>
+          : <button style={styles.btnDark} onClick={onRecord}>Record</button>}
+        <button style={styles.btnLight} disabled={!recording || recordingActive} onClick={onReplay}>Replay</button>
+        <button style={styles.btnLight} disabled={!recording} onClick={save}>Export JSON</button>
+        <button style={styles.btnLight} onClick={() => fileRef.current?.click()}>Import JSON</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={load} style={{ display: "none" }} />
+      </div>
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+        {recordingActive
+          ? "Recording: the board restarted from its seed and every drop and setting change is being logged."
+          : recording
+            ? `Recording of ${secs(recording.ticks)} with ${recording.events.length} inputs.`
+            : "Record restarts the board from its seed and logs every input, so the run can be replayed exactly."}
+      </div>
+      {error && <div style={{ fontSize: 12, color: "#b91c1c", marginTop: 8 }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useMemo, useState } from "react";
+import { rngDiagnostics, isSeedable } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const SAMPLE_BALLS = 2000;
+const ALPHA = 0.01; // p-values below this fail
+
+const pval = (p) => (!Number.isFinite(p) ? "—" : p < 1e-4 ? "< 0.0001" : p.toFixed(4));
+const diagnose = (kind, seed, rows) => ({ kind, rows, diag: rngDiagnostics(kind, seed, { balls: SAMPLE_BALLS, perBall: rows }) });
+const cell = { padding: "2px 4px", textAlign: "right", fontVariantNumeric: "tabular-nums" };
+
+/**
+ * Frequency, runs and serial-correlation tests on the numbers the selected
+ * generator feeds the board: the first `rows` draws of SAMPLE_BALLS per-ball
+ * streams under `seed`, as the coin flips of that many balls would use them.
+ */
+export default function RngPanel({ kind, seed, rows }) {
+  const first = useMemo(() => diagnose(kind, seed, rows), [kind, seed, rows]);
+  // fresh draws of the unseeded generator, until the inputs change
+  const [redrawn, setRedrawn] = useState(null);
+  const { diag } = redrawn?.kind === kind && redrawn.rows === rows ? redrawn : first;
+
+  const tests = [
+    ["Frequency (χ², 10 bins)", diag.frequency.stat, diag.frequency.pValue],
+    ["Runs above / below ½ (z)", diag.runs.stat, diag.runs.pValue],
+    [`Serial correlation (r = ${diag.serial.r.toFixed(3)}, z)`, diag.serial.stat, diag.serial.pValue],
+  ];
+  const failed = tests.filter(([, , p]) => p < ALPHA).length;
+
+  return (
+    <div>
+      <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse", color: "#334155" }}>
+        <thead>
+          <tr style={{ color: "#64748b" }}>
+            <th style={{ ...cell, textAlign: "left", fontWeight: 500 }}>{diag.n.toLocaleString()} draws</th>
+            <th style={{ ...cell, fontWeight: 500 }}>Statistic</th>
+            <th style={{ ...cell, fontWeight: 500 }}>p-value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tests.map(([label, stat, p]) => (
+            <tr key={label} style={{ color: p < ALPHA ? "#dc2626" : undefined }}>
+              <td style={{ ...cell, textAlign: "left" }}>{label}</td>
+              <td style={cell}>{Number.isFinite(stat) ? stat.toFixed(2) : "—"}</td>
+              <td style={cell}>{pval(p)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+        {failed
+          ? `${failed} of 3 tests fail at p < ${ALPHA}: the coin flips are not independent, so expect the histogram to stray from the theory curve (see the χ² under Statistics).`
+          : `No test fails at p < ${ALPHA}. With a sound generator, the gap between histogram and theory is sampling noise that shrinks as balls drop.`}
+      </div>
+      {!isSeedable(kind) && (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+          <button style={styles.btnLight} onClick={() => setRedrawn(diagnose(kind, seed, rows))}>Draw again</button>
+          <span style={{ ...styles.sub, fontSize: 12 }}>Not seeded: runs and replays can't be repeated exactly.</span>
+        </div>
+      )}
+    </div>
+  );
+}
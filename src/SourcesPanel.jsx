@@ -0,0 +1,67 @@
+import React from "react";
+import { biasToPRight, newSource, splitSources, MAX_SOURCES } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const pct = (p) => `${(p * 100).toFixed(0)}%`;
+
+// a column as pegs left or right of the centre (two columns to a peg spacing)
+const where = (column) => (column === 0 ? "centre" : `${Math.abs(column) / 2} ${column < 0 ? "left" : "right"}`);
+
+/**
+ * Sidebar controls for several drop sources (see engine/sources.js): each
+ * with a position across the top, a drop rate, a bias and a ball colour. `span` is the largest column on the board; `sources` is null for
+ * the one centred funnel.
+ */
+export default function SourcesPanel({ sources, span, bias, pegProbs, onChange }) {
+  if (!sources) {
+    return (
+      <div>
+        <div style={{ ...styles.sub, fontSize: 12, marginBottom: 8 }}>
+          Every ball drops from the centre. Add entry points to mix several shifted distributions.
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+          <button style={styles.btnDark} onClick={() => onChange(splitSources(Math.max(1, Math.round(span / 2)), bias))}>Two sources (bimodal)</button>
+          <button style={styles.btnLight} onClick={() => onChange([newSource(0, 0, bias)])}>Edit the centre source</button>
+        </div>
+      </div>
+    );
+  }
+
+  const total = sources.reduce((sum, s) => sum + s.rate, 0);
+  const update = (k, patch) => onChange(sources.map((s, j) => (j === k ? { ...s, ...patch } : s)));
+  const remove = (k) => onChange(sources.length > 1 ? sources.filter((_, j) => j !== k) : null);
+
+  return (
+    <div>
+      {sources.map((s, k) => (
+        <div key={k} style={{ borderLeft: `4px solid ${s.color}`, paddingLeft: 8, marginBottom: 12 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}>
+            <span style={{ ...styles.label, fontWeight: 600 }}>Source {k + 1}</span>
+            <input type="color" value={s.color} onChange={(e) => update(k, { color: e.target.value })} aria-label={`Source ${k + 1} colour`} />
+            <button style={{ ...styles.btnLight, marginLeft: "auto", padding: "2px 10px" }} onClick={() => remove(k)}>Remove</button>
+          </div>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Position: {where(Math.max(-span, Math.min(span, s.column)))}</div>
+            <input type="range" min={-span} max={span} value={Math.max(-span, Math.min(span, s.column))} onChange={(e) => update(k, { column: parseInt(e.target.value) })} style={styles.range} />
+          </div>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Drop rate: {s.rate} balls/s ({pct(total ? s.rate / total : 0)} of balls)</div>
+            <input type="range" step={0.5} min={0.5} max={20} value={s.rate} onChange={(e) => update(k, { rate: parseFloat(e.target.value) })} style={styles.range} />
+          </div>
+          <div style={styles.ctlGridRow}>
+            <div style={styles.label}>Right probability: {pct(biasToPRight(s.bias))}</div>
+            <input type="range" step={0.01} min={-0.25} max={0.25} value={s.bias} onChange={(e) => update(k, { bias: parseFloat(e.target.value) })} style={styles.range} />
+          </div>
+        </div>
+      ))}
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        <button style={styles.btnDark} disabled={sources.length >= MAX_SOURCES} onClick={() => onChange([...sources, newSource(0, sources.length, bias)])}>Add source</button>
+        <button style={styles.btnLight} onClick={() => onChange(null)}>Back to one funnel</button>
+      </div>
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 8 }}>
+        Positions are in peg spacings from the centre. While running, each source drops its own balls at its rate, in place of the batches; a batch dropped by hand is split between the sources by rate. Each source&apos;s balls follow its own distribution, and the bins fill with their mixture, weighted by rate: the histogram stacks each source&apos;s share under the mixture&apos;s expected values.
+        {pegProbs && " Per-peg probabilities override the sources' right probabilities."} Adding or removing a source clears the tallies.
+      </div>
+    </div>
+  );
+}
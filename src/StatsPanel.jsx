@@ -0,0 +1,94 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { pmfMoments, sampleMoments, chiSquareTest, totalVariation, klDivergence } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const MAX_HISTORY = 300;
+
+const num = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : v === Infinity ? "∞" : "—");
+const pval = (p) => (!Number.isFinite(p) ? "—" : p < 1e-4 ? "< 0.0001" : p.toFixed(4));
+
+const cell = { padding: "2px 4px", textAlign: "right", fontVariantNumeric: "tabular-nums" };
+
+/**
+ * Sample moments vs theory, goodness-of-fit statistics and a convergence
+ * chart of the running sample mean / SD, all driven by the bin tallies.
+ */
+export default function StatsPanel({ tallies, pmf }) {
+  const theory = useMemo(() => pmfMoments(pmf), [pmf]);
+  const sample = useMemo(() => sampleMoments(tallies), [tallies]);
+  const fit = useMemo(() => chiSquareTest(tallies, pmf), [tallies, pmf]);
+  const tvd = useMemo(() => totalVariation(tallies, pmf), [tallies, pmf]);
+  const kl = useMemo(() => klDivergence(tallies, pmf), [tallies, pmf]);
+
+  // running mean / SD, one point per tally update, thinned to MAX_HISTORY
+  const [history, setHistory] = useState([]);
+  useEffect(() => {
+    const { n, mean, variance } = sample;
+    setHistory((prev) => {
+      if (!n) return [];
+      const last = prev[prev.length - 1];
+      if (last && last.n >= n) return last.n === n ? prev : [];
+      const next = [...prev, { n, mean, sd: Math.sqrt(variance || 0) }];
+      return next.length > MAX_HISTORY ? next.filter((_, i) => i % 2 === 0 || i === next.length - 1) : next;
+    });
+  }, [sample]);
+
+  const rowsTable = [
+    ["Mean", sample.mean, theory.mean],
+    ["Variance", sample.variance, theory.variance],
+    ["Skewness", sample.skewness, theory.skewness],
+    ["Ex. kurtosis", sample.kurtosis, theory.kurtosis],
+  ];
+
+  return (
+    <div>
+      <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse", color: "#334155" }}>
+        <thead>
+          <tr style={{ color: "#64748b" }}>
+            <th style={{ ...cell, textAlign: "left", fontWeight: 500 }}></th>
+            <th style={{ ...cell, fontWeight: 500 }}>Sample</th>
+            <th style={{ ...cell, fontWeight: 500 }}>Theory</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rowsTable.map(([label, s, t]) => (
+            <tr key={label}>
+              <td style={{ ...cell, textAlign: "left" }}>{label}</td>
+              <td style={cell}>{num(s)}</td>
+              <td style={cell}>{num(t)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 8, fontSize: 12, color: "#334155", display: "grid", gridTemplateColumns: "1fr auto", rowGap: 2 }}>
+        <div>χ² ({fit.df} df, {fit.groups.length} pooled bins)</div>
+        <div style={cell}>{num(fit.stat, 2)}</div>
+        <div>p-value</div>
+        <div style={cell}>{pval(fit.pValue)}</div>
+        <div>Total variation distance</div>
+        <div style={cell}>{num(tvd, 4)}</div>
+        <div>KL divergence (nats)</div>
+        <div style={cell}>{num(kl, 4)}</div>
+      </div>
+
+      <div style={{ ...styles.sub, fontSize: 12, marginTop: 12, marginBottom: 4 }}>Convergence (sample mean / SD vs balls)</div>
+      <div style={{ height: 140 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={history} margin={{ top: 5, right: 0, left: 0, bottom: 0 }}>
+            <CartesianGrid vertical={false} strokeDasharray="3 3" />
+            <XAxis dataKey="n" type="number" scale="log" domain={["auto", "auto"]} allowDataOverflow tick={{ fontSize: 10 }} />
+            <YAxis yAxisId="mean" tick={{ fontSize: 10 }} width={32} domain={["auto", "auto"]} />
+            <YAxis yAxisId="sd" orientation="right" tick={{ fontSize: 10 }} width={32} domain={["auto", "auto"]} />
+            <Tooltip formatter={(v) => num(v)} labelFormatter={(n) => `${n} balls`} />
+            <ReferenceLine yAxisId="mean" y={theory.mean} stroke="#0ea5e9" strokeDasharray="4 4" />
+            <ReferenceLine yAxisId="sd" y={Math.sqrt(theory.variance)} stroke="#f97316" strokeDasharray="4 4" />
+            <Line yAxisId="mean" dataKey="mean" name="mean" stroke="#0ea5e9" dot={false} isAnimationActive={false} />
+            <Line yAxisId="sd" dataKey="sd" name="SD" stroke="#f97316" dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
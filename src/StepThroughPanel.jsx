@@ -0,0 +1,85 @@
+import React, { useMemo, useRef, useState } from "react";
+import { createStepper, createRng, streamSeed, pathCounts, exactPmf, pathString } from "./engine/index.js";
+import { styles } from "./styles.js";
+
+const prob = (p) => (p >= 0.001 ? p.toFixed(4) : p.toExponential(2));
+const count = (n) => (Number.isInteger(n) ? n.toLocaleString() : n.toFixed(1));
+const side = (dir) => (dir > 0 ? "right" : "left");
+
+// one sentence per stepper event (see engine/stepper.js)
+function narrate(ev, { rows, labels, counts, pmf }) {
+  if (ev.kind === "gap") return `Row ${ev.row + 1}: there is no peg under the ball, so it falls straight through.`;
+  if (ev.kind === "straight") {
+    const s = ev.s.toFixed(2);
+    return `Row ${ev.row + 1}, peg ${ev.peg + 1}: P(straight on) = ${s}. The coin shows ${ev.u.toFixed(3)}, below ${s}, so the ball drops straight down. The path so far has probability ${prob(ev.probability)}.`;
+  }
+  if (ev.kind === "wall") return `Row ${ev.row + 1}, peg ${ev.peg + 1}: a wall on its ${ev.side} side sends the ball ${side(ev.dir)}.`;
+  if (ev.kind === "peg") {
+    const p = ev.p.toFixed(2);
+    return `Row ${ev.row + 1}, peg ${ev.peg + 1}: P(right) = ${p}. The coin shows ${ev.u.toFixed(3)}, ${ev.dir > 0 ? "below" : "not below"} ${p}, so the ball goes ${side(ev.dir)}. The path so far has probability ${prob(ev.probability)}.`;
+  }
+  const total = counts.bins.reduce((a, b) => a + b, 0);
+  return `After ${rows} rows and ${ev.rights} right steps the ball lands in bin ${labels[ev.bin]}. ${count(counts.bins[ev.bin])} of the ${count(total)} routes through the board end there, so a ball lands in it with probability ${prob(pmf[ev.bin])}; this exact path had probability ${prob(ev.probability)}.`;
+}
+
+/**
+ * Step-through mode: one ball that moves a single row per click, with a
+ * sentence explaining each decision. The ball is drawn on the board through
+ * `onBallChange({ path, bin })` (null when there is none); it follows the
+ * board's rules but is not tallied.
+ */
+export default function StepThroughPanel({ rows, board, bias, pegProbs, layout, seed, rng, labels, onBallChange }) {
+  const stepperRef = useRef(null);
+  const [active, setActive] = useState(false);
+  const [events, setEvents] = useState([]);
+  const [balls, setBalls] = useState(0); // balls stepped so far; each gets its own stream
+
+  const counts = useMemo(() => pathCounts({ rows, board, layout }), [rows, board, layout]);
+  const pmf = useMemo(() => exactPmf({ rows, board, bias, pegProbs, layout }), [rows, board, bias, pegProbs, layout]);
+
+  const newBall = () => {
+    stepperRef.current = createStepper({ rows, board, bias, pegProbs, layout }, createRng(rng, streamSeed(seed, balls)));
+    setBalls(balls + 1);
+    setActive(true);
+    setEvents([]);
+    onBallChange({ path: [], bin: null });
+  };
+
+  const nextRow = () => {
+    const stepper = stepperRef.current;
+    const ev = stepper?.advance();
+    if (!ev) return;
+    setEvents([...events, ev]);
+    onBallChange({ path: stepper.getPath(), bin: stepper.getBin() });
+  };
+
+  const stop = () => {
+    stepperRef.current = null;
+    setActive(false);
+    setEvents([]);
+    onBallChange(null);
+  };
+
+  const path = events.filter((ev) => ev.kind !== "land").map((ev) => ev.dir);
+  const done = events.at(-1)?.kind === "land";
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginBottom: 8 }}>
+        <button style={styles.btnDark} onClick={newBall}>{active ? "New ball" : "Step through one ball"}</button>
+        {active && <button style={styles.btnPrimary} disabled={done} onClick={nextRow}>{events.length < rows ? "Next row" : "Into a bin"}</button>}
+        {active && <button style={styles.btnLight} onClick={stop}>Done</button>}
+      </div>
+      {active && (
+        <div style={{ fontSize: 12, color: "#475569" }}>
+          <div style={{ fontFamily: "ui-monospace, monospace", marginBottom: 4 }}>Path: {pathString(path) || "—"}</div>
+          {events.length === 0 && <div style={styles.sub}>The ball waits above the first peg. Click &quot;Next row&quot;.</div>}
+          <ol style={{ margin: 0, paddingLeft: 18, maxHeight: 180, overflowY: "auto" }}>
+            {events.map((ev, k) => (
+              <li key={k} style={{ marginBottom: 4 }}>{narrate(ev, { rows, labels, counts, pmf })}</li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ReferenceLine } from "recharts";
+import { runSweep, sweepSize, sweepCsv, clamp, GENERATORS, TURBO_MAX, SWEEP_MAX_RUNS } from "./engine/index.js";
+import { useElementWidth, NARROW_WIDTH } from "./useMeasure.js";
+import { downloadText } from "./download.js";
+import { styles } from "./styles.js";
+
+const PALETTE = ["#0284c7", "#ea580c", "#16a34a", "#9333ea", "#db2777", "#0f766e"];
+const PARAMS = {
+  rows: { label: "Rows", min: 1, max: 40, decimals: 0 },
+  bias: { label: "Bias", min: -0.5, max: 0.5, decimals: 2 },
+  balls: { label: "Balls", min: 1, max: TURBO_MAX, decimals: 0 },
+};
+// what the chart can plot per run, and the theory each is compared with
+const METRICS = {
+  mean: { label: "Sample mean", value: (r) => r.mean, theory: (r) => r.theoryMean },
+  variance: { label: "Sample variance", value: (r) => r.variance, theory: (r) => r.theoryVariance },
+  sd: { label: "Sample SD", value: (r) => Math.sqrt(r.variance), theory: (r) => Math.sqrt(r.theoryVariance) },
+  chiSquare: { label: "χ² statistic (theory: its mean, df)", value: (r) => r.chiSquare, theory: (r) => r.df },
+  pValue: { label: "χ² p-value (uniform if the model holds)", value: (r) => r.pValue, reference: 0.05 },
+  tvd: { label: "Total variation distance", value: (r) => r.tvd },
+};
+const INITIAL = {
+  rows: { from: 12, to: 12, step: 1 },
+  bias: { from: -0.2, to: 0.2, step: 0.05 },
+  balls: { from: 1000, to: 1000, step: 10, geometric: true },
+};
+
+const num = (v, d = 3) => (Number.isFinite(v) ? v.toFixed(d) : "—");
+const cell = { padding: "2px 6px", textAlign: "right", fontVariantNumeric: "tabular-nums", whiteSpace: "nowrap" };
+
+// one line per combination of the parameters not on the x axis
+function chartSeries(results, x, metric) {
+  const { value, theory } = METRICS[metric];
+  const others = Object.keys(PARAMS).filter((k) => k !== x);
+  const groups = new Map();
+  results.forEach((r) => {
+    const key = others.map((k) => `${PARAMS[k].label.toLowerCase()} ${r[k]}`).join(", ");
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ x: r[x], observed: value(r), expected: theory ? theory(r) : undefined });
+  });
+  return [...groups].map(([name, data]) => ({ name, data: data.sort((a, b) => a.x - b.x) }));
+}
+
+/**
+ * Runs every combination of ranges of rows, bias and ball count headlessly,
+ * each ball flipping coins from its own seeded stream as on the board, and
+ * shows the results as a table and as a chart against theory. Exports CSV.
+ */
+export default function SweepRunner() {
+  const [ranges, setRanges] = useState(INITIAL);
+  const [seed, setSeed] = useState(1);
+  const [rng, setRng] = useState("mulberry32");
+  const [results, setResults] = useState([]);
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [x, setX] = useState("bias");
+  const [metric, setMetric] = useState("mean");
+  const abortRef = useRef(null);
+  const pageRef = useRef(null);
+  const pageWidth = useElementWidth(pageRef);
+  const narrow = pageWidth > 0 && pageWidth < NARROW_WIDTH;
+
+  const planned = useMemo(() => sweepSize(ranges), [ranges]);
+  const series = useMemo(() => chartSeries(results, x, metric), [results, x, metric]);
+  const shown = series.slice(0, PALETTE.length);
+
+  const setRange = (param, key, raw) => {
+    const v = parseFloat(raw);
+    if (!Number.isFinite(v)) return;
+    const { min, max } = PARAMS[param];
+    setRanges((rs) => ({ ...rs, [param]: { ...rs[param], [key]: key === "step" ? Math.max(0, v) : clamp(v, min, max) } }));
+  };
+
+  const cancel = () => abortRef.current?.abort();
+  // leaving the page stops the sweep
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const run = async () => {
+    cancel();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults([]);
+    setProgress({ done: 0, total: Math.min(planned, SWEEP_MAX_RUNS) });
+    await runSweep(ranges, {
+      seed,
+      rng,
+      signal: controller.signal,
+      onResult: (r) => setResults((rs) => [...rs, r]),
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    if (abortRef.current === controller) {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const exportCsv = () => {
+    const describe = (k) => {
+      const { from, to, step, geometric } = ranges[k];
+      return `${from} to ${to} ${geometric ? "×" : "+"} ${step}`;
+    };
+    downloadText("galton-sweep.csv", sweepCsv(results, { rows: describe("rows"), bias: describe("bias"), balls: describe("balls"), seed, rng }), "text/csv");
+  };
+
+  const rangeRow = (param) => (
+    <div key={param} style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginBottom: 8 }}>
+      <span style={{ ...styles.label, width: 48 }}>{PARAMS[param].label}</span>
+      {["from", "to", "step"].map((key) => (
+        <label key={key} style={{ ...styles.label, display: "flex", gap: 4, alignItems: "center" }}>
+          {key === "step" && ranges[param].geometric ? "×" : key}
+          <input
+            type="number"
+            step={param === "bias" ? 0.01 : 1}
+            value={ranges[param][key]}
+            disabled={!!progress}
+            onChange={(e) => setRange(param, key, e.target.value)}
+            style={{ ...styles.numberInput, width: 90 }}
+          />
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div ref={pageRef} style={styles.page}>
+      <div style={styles.card}>
+        <div style={styles.row}>
+          <h2 style={styles.h2}>Parameter sweep</h2>
+          <div style={styles.sub}>{planned.toLocaleString()} runs{planned > SWEEP_MAX_RUNS ? ` (only the first ${SWEEP_MAX_RUNS} will run)` : ""}</div>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: narrow ? "minmax(0, 1fr)" : "minmax(0, 1fr) minmax(0, 1fr)", gap: 12 }}>
+          <div>{Object.keys(PARAMS).map(rangeRow)}</div>
+          <div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Seed</div>
+              <input type="number" min={0} value={seed} disabled={!!progress} onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value || 0)))} style={{ ...styles.numberInput, width: 110 }} />
+            </div>
+            <div style={styles.ctlGridRow}>
+              <div style={styles.label}>Random generator</div>
+              <select value={rng} disabled={!!progress} onChange={(e) => setRng(e.target.value)} style={styles.select}>
+                {Object.entries(GENERATORS).map(([k, g]) => <option key={k} value={k}>{g.label}</option>)}
+              </select>
+            </div>
+          </div>
+        </div>
+        <div style={styles.btnRow}>
+          {progress
+            ? <button onClick={cancel} style={styles.btnLight}>Cancel</button>
+            : <button onClick={run} style={styles.btnPrimary}>Run sweep</button>}
+          <button onClick={exportCsv} disabled={!results.length || !!progress} style={styles.btnLight}>Export CSV</button>
+        </div>
+        {progress && (
+          <div>
+            <div style={styles.progressTrack}>
+              <div style={{ ...styles.progressFill, width: `${(progress.done / progress.total) * 100}%` }} />
+            </div>
+            <div style={{ ...styles.sub, marginTop: 4 }}>{progress.done} / {progress.total} runs</div>
+          </div>
+        )}
+        <div style={{ ...styles.sub, fontSize: 12 }}>
+          Each run drops its balls on a plain board without animating them. Ball i of a run flips the same coins as ball i on the board with that run&apos;s seed, which is in the table.
+        </div>
+      </div>
+
+      <div style={{ ...styles.card, marginTop: 16 }}>
+        <div style={{ ...styles.row, flexWrap: "wrap", gap: 8 }}>
+          <h4 style={styles.h4}>Results</h4>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+            <select value={metric} onChange={(e) => setMetric(e.target.value)} style={styles.select}>
+              {Object.entries(METRICS).map(([k, m]) => <option key={k} value={k}>{m.label}</option>)}
+            </select>
+            <span style={styles.label}>against</span>
+            <select value={x} onChange={(e) => setX(e.target.value)} style={styles.select}>
+              {Object.entries(PARAMS).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+            </select>
+          </div>
+        </div>
+        <div style={{ height: 300 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+              <CartesianGrid vertical={false} strokeDasharray="3 3" />
+              <XAxis
+                dataKey="x"
+                type="number"
+                scale={x === "balls" ? "log" : "auto"}
+                domain={["auto", "auto"]}
+                allowDuplicatedCategory={false}
+                tick={{ fontSize: 12 }}
+                tickFormatter={(v) => num(v, PARAMS[x].decimals)}
+              />
+              <YAxis tick={{ fontSize: 12 }} width={52} domain={["auto", "auto"]} tickFormatter={(v) => num(v, 2)} />
+              <Tooltip formatter={(v) => num(v, 4)} labelFormatter={(v) => `${PARAMS[x].label.toLowerCase()} ${num(v, PARAMS[x].decimals)}`} />
+              {METRICS[metric].reference !== undefined && <ReferenceLine y={METRICS[metric].reference} stroke="#dc2626" strokeDasharray="4 4" />}
+              {shown.map((s, i) => [
+                <Line key={`o${s.name}`} data={s.data} dataKey="observed" name={`${s.name} observed`} stroke={PALETTE[i]} strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />,
+                METRICS[metric].theory && (
+                  <Line key={`e${s.name}`} data={s.data} dataKey="expected" name={`${s.name} theory`} stroke={PALETTE[i]} strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+                ),
+              ])}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ ...styles.sub, fontSize: 12 }}>
+          Solid: observed, dashed: theory. One line per {Object.keys(PARAMS).filter((k) => k !== x).map((k) => PARAMS[k].label.toLowerCase()).join(" and ")} setting
+          {series.length > shown.length ? `; the first ${shown.length} of ${series.length} are drawn.` : "."}
+        </div>
+
+        <div style={{ overflow: "auto", maxHeight: 320, marginTop: 12 }}>
+          <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse", color: "#334155" }}>
+            <thead>
+              <tr style={{ color: "#64748b" }}>
+                {["Rows", "Bias", "Balls", "Seed", "Mean", "Theory", "Variance", "Theory", "χ²", "df", "p-value", "TVD"].map((h, i) => (
+                  <th key={i} style={{ ...cell, fontWeight: 500 }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {results.map((r, i) => (
+                <tr key={i}>
+                  <td style={cell}>{r.rows}</td>
+                  <td style={cell}>{r.bias.toFixed(2)}</td>
+                  <td style={cell}>{r.balls.toLocaleString()}</td>
+                  <td style={cell}>{r.seed}</td>
+                  <td style={cell}>{num(r.mean)}</td>
+                  <td style={cell}>{num(r.theoryMean)}</td>
+                  <td style={cell}>{num(r.variance)}</td>
+                  <td style={cell}>{num(r.theoryVariance)}</td>
+                  <td style={cell}>{num(r.chiSquare, 2)}</td>
+                  <td style={cell}>{r.df}</td>
+                  <td style={{ ...cell, color: r.pValue < 0.05 ? "#dc2626" : undefined }}>{num(r.pValue, 4)}</td>
+                  <td style={cell}>{num(r.tvd, 4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import { pathString } from "./engine/index.js";
+import { heatColor } from "./boardCanvas.js";
+import { styles } from "./styles.js";
+
+const prob = (p) => (p >= 0.001 ? p.toFixed(4) : p.toExponential(2));
+
+const legend = {
+  height: 8,
+  borderRadius: 4,
+  background: `linear-gradient(to right, ${[0, 0.25, 0.5, 0.75, 1].map(heatColor).join(", ")})`,
+};
+
+/**
+ * Sidebar toggles for the board overlays: following a clicked ball (its path
+ * as an L/R sequence and the chance of exactly that path) and the peg-visit
+ * heatmap with its colour scale.
+ */
+export default function TracePanel({ tracing, onTracingChange, trace, labels, heatmap, onHeatmapChange, visits }) {
+  const busiest = visits ? Math.max(0, ...visits.pegs.flat()) : 0;
+  return (
+    <div>
+      <label style={{ ...styles.toggle, marginBottom: 8 }}>
+        <input type="checkbox" checked={tracing} onChange={(e) => onTracingChange(e.target.checked)} /> Trace a ball (click one on the board)
+      </label>
+      {tracing && (trace ? (
+        <div style={{ fontSize: 12, color: "#475569", marginBottom: 12 }}>
+          <div>Ball #{trace.id} · {trace.landed ? `landed in bin ${labels[trace.bin] ?? trace.bin}` : `falling, row ${trace.path.length}`}</div>
+          <div style={{ fontFamily: "ui-monospace, monospace", wordBreak: "break-all", margin: "4px 0" }}>{pathString(trace.path) || "—"}</div>
+          <div>
+            P(this path) = {prob(trace.probability)}
+            {trace.probability > 0 && ` (1 in ${Math.round(1 / trace.probability).toLocaleString()})`}
+          </div>
+        </div>
+      ) : (
+        <div style={{ ...styles.sub, fontSize: 12, marginBottom: 12 }}>Click a falling ball to follow it.</div>
+      ))}
+      <label style={{ ...styles.toggle, marginBottom: 8 }}>
+        <input type="checkbox" checked={heatmap} onChange={(e) => onHeatmapChange(e.target.checked)} /> Peg-visit heatmap (hover a peg)
+      </label>
+      {heatmap && (
+        <div style={{ marginBottom: 8 }}>
+          <div style={legend} />
+          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "#64748b" }}>
+            <span>0</span>
+            <span>{busiest.toLocaleString()} visits</span>
+          </div>
+        </div>
+      )}
+      <div style={{ ...styles.sub, fontSize: 12 }}>
+        Both overlays follow the step and gravity models; physics balls make no peg-by-peg choices.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+// Canvas drawing for the board, in board units (callers set the transform).
+import { wallSegment } from "./engine/index.js";
+
+const NEUTRAL = [148, 163, 184]; // slate-400, p = 0.5
+const LEFT = [37, 99, 235]; // blue-600, p = 0
+const RIGHT = [234, 88, 12]; // orange-600, p = 1
+const BALL_COLOR = "#0ea5e9";
+
+const mix = (a, b, u) => a.map((v, k) => Math.round(v + (b[k] - v) * u));
+
+/** Peg colour for a right-step probability: blue leans left, orange leans right. */
+export function pegColor(p) {
+  const rgb = p < 0.5 ? mix(NEUTRAL, LEFT, (0.5 - p) * 2) : mix(NEUTRAL, RIGHT, (p - 0.5) * 2);
+  return `rgb(${rgb.join(",")})`;
+}
+
+export function drawPegs(ctx, g, { pegProbs = null, selected = null, lattice = null, showRemoved = false } = {}) {
+  ctx.fillStyle = "#94a3b8";
+  g.pegRows.forEach((row, r) => {
+    row.forEach((p, i) => {
+      if (lattice && !lattice.hasPeg(r, i)) {
+        if (showRemoved) {
+          ctx.strokeStyle = "#cbd5e1";
+          ctx.lineWidth = 1;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, g.pegRadius, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+        return;
+      }
+      const prob = pegProbs?.[r]?.[i];
+      if (prob != null) ctx.fillStyle = pegColor(prob);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, prob != null ? g.pegRadius * 1.3 : g.pegRadius, 0, Math.PI * 2);
+      ctx.fill();
+      if (prob != null) ctx.fillStyle = "#94a3b8";
+    });
+  });
+  if (selected) {
+    const p = g.pegRows[selected.r]?.[selected.i];
+    if (p) {
+      ctx.strokeStyle = "#0f172a";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, g.pegRadius + 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+}
+
+/** Walls beside pegs, drawn as ramps leading down into the peg from above. */
+export function drawWalls(ctx, g, lattice) {
+  ctx.strokeStyle = "#475569";
+  ctx.lineWidth = 2;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  g.pegRows.forEach((row, r) =>
+    row.forEach((_, i) => {
+      const side = lattice.hasPeg(r, i) ? lattice.wallAt(r, i) : null;
+      if (!side) return;
+      const w = wallSegment(g, r, i, side);
+      ctx.moveTo(w.x1, w.y1);
+      ctx.lineTo(w.x2, w.y2);
+    })
+  );
+  ctx.stroke();
+  ctx.lineCap = "butt";
+}
+
+/** Ground lines, outer walls and the dividers between (possibly merged) bins; blocked slots get a cap. */
+export function drawBins(ctx, g, lattice) {
+  const half = g.binWidth / 2;
+  ctx.strokeStyle = "#cbd5e1";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(g.leftWall, g.boardBottom);
+  ctx.lineTo(g.rightWall, g.boardBottom);
+  ctx.moveTo(g.leftWall, g.binBase);
+  ctx.lineTo(g.rightWall, g.binBase);
+  ctx.stroke();
+
+  ctx.strokeStyle = "#94a3b8";
+  ctx.beginPath();
+  ctx.moveTo(g.leftWall, g.boardBottom);
+  ctx.lineTo(g.leftWall, g.binBase);
+  ctx.moveTo(g.rightWall, g.boardBottom);
+  ctx.lineTo(g.rightWall, g.binBase);
+  lattice.groups.slice(0, -1).forEach((grp) => {
+    const x = g.binCenters[grp[grp.length - 1]] + half;
+    ctx.moveTo(x, g.boardBottom);
+    ctx.lineTo(x, g.binBase);
+  });
+  ctx.stroke();
+
+  lattice.blockedSlots.forEach((k) => {
+    const x = g.binCenters[k] - half;
+    ctx.fillStyle = "rgba(148, 163, 184, 0.25)";
+    ctx.fillRect(x, g.boardBottom, g.binWidth, g.binBase - g.boardBottom);
+    ctx.strokeStyle = "#475569";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, g.boardBottom);
+    ctx.lineTo(x + g.binWidth, g.boardBottom);
+    ctx.stroke();
+  });
+}
+
+/** A board's ball colour per drop source, or null when it drops from the one centred source. */
+export const sourceColors = (board) => (board.getConfig().sources?.length ? board.getSources().map((s) => s.color) : null);
+
+/** Balls as `{ x, y, r }`; with `colors`, each in the colour of its drop `source`. */
+export function drawBalls(ctx, balls, colors = null) {
+  ctx.fillStyle = BALL_COLOR;
+  balls.forEach((b) => {
+    if (colors) ctx.fillStyle = colors[b.source ?? 0];
+    ctx.beginPath();
+    ctx.arc(b.x, b.y, b.r, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+// one pre-rendered ball per radius, scale and colour; stamping it is much
+// cheaper than filling an arc for each of thousands of balls
+const sprites = new Map();
+// resizing the page passes through many scales; only recent ones are kept
+const MAX_SPRITES = 16;
+function ballSprite(r, scale, color = BALL_COLOR) {
+  const key = `${r}|${scale}|${color}`;
+  if (!sprites.has(key)) {
+    if (sprites.size >= MAX_SPRITES) sprites.delete(sprites.keys().next().value);
+    const size = Math.ceil(2 * r * scale) + 2;
+    const canvas = typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(size, size)
+      : Object.assign(document.createElement("canvas"), { width: size, height: size });
+    const sctx = canvas.getContext("2d");
+    sctx.fillStyle = color;
+    sctx.beginPath();
+    sctx.arc(size / 2, size / 2, r * scale, 0, Math.PI * 2);
+    sctx.fill();
+    sprites.set(key, { canvas, half: size / 2 / scale });
+  }
+  return sprites.get(key);
+}
+
+/**
+ * The step- and gravity-model balls of a board's ball pool, drawn at `scale`
+ * pixels per unit; with `colors`, each in the colour of its drop source.
+ */
+export function drawBallPool(ctx, pool, r, scale = 1, colors = null) {
+  const n = pool.count();
+  if (!n) return;
+  const { x, y, source } = pool.arrays();
+  const stamps = (colors ?? [BALL_COLOR]).map((c) => ballSprite(r, scale, c));
+  for (let i = 0; i < n; i++) {
+    const { canvas, half } = stamps[colors ? source[i] : 0];
+    ctx.drawImage(canvas, x[i] - half, y[i] - half, half * 2, half * 2);
+  }
+}
+
+const COOL = [254, 243, 199]; // amber-100, few visits
+const HOT = [220, 38, 38]; // red-600, the most visited peg
+
+/** Heatmap colour for a share u in [0, 1] of the busiest peg's visits. */
+export const heatColor = (u) => `rgb(${mix(COOL, HOT, Math.sqrt(u)).join(",")})`;
+
+/** Pegs coloured by how many balls hit them (`pegs` from board.getVisits()). */
+export function drawPegHeat(ctx, g, lattice, pegs) {
+  const max = Math.max(1, ...pegs.flat());
+  g.pegRows.forEach((row, r) =>
+    row.forEach((p, i) => {
+      if (!lattice.hasPeg(r, i)) return;
+      ctx.fillStyle = heatColor(pegs[r][i] / max);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, g.pegRadius * 2, 0, Math.PI * 2);
+      ctx.fill();
+    })
+  );
+}
+
+/**
+ * The route of one ball: from its drop point (at `column`, see
+ * engine/sources.js) over the peg lattice position it reached at each row of
+ * `path`, then on to `tip` (where the ball is now, or where it landed). A
+ * ring marks a ball still in flight.
+ */
+export function drawTrace(ctx, g, path, tip, falling, column = 0) {
+  const lift = g.pegRadius + g.ballRadius;
+  ctx.strokeStyle = "#7c3aed";
+  ctx.lineWidth = 2;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  ctx.moveTo(g.centerX + (column * g.spacing) / 2, g.boardTop - g.spacing);
+  let c = column;
+  path.forEach((dir, r) => {
+    ctx.lineTo(g.centerX + (c * g.spacing) / 2, g.rowYs[r] - lift);
+    c += dir;
+  });
+  ctx.lineTo(tip.x, tip.y);
+  ctx.stroke();
+  ctx.lineCap = "butt";
+  if (falling) {
+    ctx.beginPath();
+    ctx.arc(tip.x, tip.y, g.ballRadius + 3, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+}
+
+/**
+ * A number over every peg and at the top of every bin (`{ pegs, bins }`, as
+ * from board.getPathCounts()), written with `format`.
+ */
+export function drawLatticeNumbers(ctx, g, lattice, { pegs, bins }, format) {
+  ctx.font = "8px ui-sans-serif, system-ui, -apple-system";
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#6d28d9";
+  g.pegRows.forEach((row, r) =>
+    row.forEach((p, i) => {
+      if (lattice.hasPeg(r, i)) ctx.fillText(format(pegs[r][i]), p.x, p.y - g.pegRadius - 3);
+    })
+  );
+  lattice.groups.forEach((grp, k) => {
+    const x = (g.binCenters[grp[0]] + g.binCenters[grp[grp.length - 1]]) / 2;
+    ctx.fillText(format(bins[k]), x, g.boardBottom + 10);
+  });
+}
+
+/** Where a ball dropped at `column` that has taken `path` (and landed in `bin`, if not null) sits. */
+export function latticePoint(g, lattice, path, bin = null, column = 0) {
+  if (bin !== null) {
+    const grp = lattice.groups[bin];
+    return { x: (g.binCenters[grp[0]] + g.binCenters[grp[grp.length - 1]]) / 2, y: g.binBase - g.ballRadius };
+  }
+  const c = path.reduce((a, d) => a + d, column);
+  const y = path.length < g.rows ? g.rowYs[path.length] - g.pegRadius - g.ballRadius : g.boardBottom - g.ballRadius;
+  return { x: g.centerX + (c * g.spacing) / 2, y };
+}
+
+// label sizes, in board units; glyphs are taken as this share of the size wide
+const LABEL_SIZE = 9;
+const MIN_LABEL_SIZE = 6;
+const GLYPH_WIDTH = 0.6;
+
+/**
+ * Ball count under each bin. The text shrinks to fit narrow bins, and a
+ * count that would still run into the one before it is left out.
+ */
+export function drawBinLabels(ctx, g, lattice, tallies) {
+  const size = Math.max(MIN_LABEL_SIZE, Math.min(LABEL_SIZE, g.binWidth * 0.7));
+  ctx.fillStyle = "#334155";
+  ctx.font = `${size}px ui-sans-serif, system-ui, -apple-system`;
+  ctx.textAlign = "center";
+  let free = -Infinity; // where the last label drawn ends
+  lattice.groups.forEach((grp, k) => {
+    const x = (g.binCenters[grp[0]] + g.binCenters[grp[grp.length - 1]]) / 2;
+    const text = `${tallies[k]}`;
+    const half = (text.length * size * GLYPH_WIDTH) / 2;
+    if (x - half < free) return;
+    ctx.fillText(text, x, g.binBase + 13);
+    free = x + half + 1;
+  });
+}
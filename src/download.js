@@ -0,0 +1,27 @@
+// Browser file helpers for saving and loading board data.
+
+/** Save `text` as a file download. */
+export function downloadText(filename, text, type = "application/json") {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/** Read a File chosen in an <input type="file"> as text. */
+export function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
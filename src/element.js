@@ -0,0 +1,6 @@
+// Entry for plain HTML pages: bundles React and registers <galton-board>.
+//
+//   <script type="module" src="galton-board-element.js"></script>
+import { defineGaltonBoardElement } from "./GaltonBoardElement.js";
+
+defineGaltonBoardElement();
@@ -0,0 +1,200 @@
+import { clamp, easeInOut } from "./math.js";
+import { RNG_WORDS } from "./rng.js";
+
+// Gravity model constants (board units, seconds)
+export const G = 1200;
+export const BOUNCE_VY = 120;
+export const AIR_DAMPING = 0.002;
+const TX_DUR = 0.14;
+
+export const STEP = 0;
+export const GRAVITY = 1;
+
+// One typed array per field, indexed by slot, so thousands of balls cost no
+// allocations per frame.
+const FIELDS = {
+  kind: Uint8Array, // STEP or GRAVITY
+  id: Int32Array, // drop index
+  rule: Int32Array, // which decide rule the ball was dropped under
+  source: Uint8Array, // which drop source it came from, see sources.js
+  row: Int32Array,
+  col: Int32Array,
+  rights: Int32Array,
+  x: Float64Array,
+  y: Float64Array,
+  vx: Float64Array,
+  vy: Float64Array,
+  // step model: ms into the current move, its start and target, ms per move
+  t: Float64Array,
+  fx: Float64Array,
+  fy: Float64Array,
+  tx: Float64Array,
+  ty: Float64Array,
+  stepMs: Float64Array,
+  // gravity model: the sideways tween after a peg
+  txActive: Uint8Array,
+  txStart: Float64Array,
+  txTarget: Float64Array,
+  txT: Float64Array,
+};
+
+const allocate = (capacity, rows, from = null) => {
+  const s = {};
+  for (const [k, T] of Object.entries(FIELDS)) {
+    s[k] = new T(capacity);
+    if (from) s[k].set(from[k]);
+  }
+  // moves taken so far, `rows` per slot: -1 / +1 off a peg, 0 through a gap
+  s.path = new Int8Array(capacity * rows);
+  // the ball's own random stream, RNG_WORDS per slot (see rng.js)
+  s.rng = new Uint32Array(capacity * RNG_WORDS);
+  if (from) {
+    s.path.set(from.path);
+    s.rng.set(from.rng);
+  }
+  return s;
+};
+
+/**
+ * Falling balls of the step and gravity models (physics balls live in the
+ * world, see physics.js). Each ball asks `decide(rule, row, col, slot)` for its
+ * move at each row (see layout.js for columns); `slot` locates its random
+ * stream in `arrays().rng`, which the caller seeds after add().
+ *
+ * Step model: one eased move per row, ±spacing/2 sideways.
+ * Gravity model: falls under G, bounces at each peg and tweens sideways.
+ */
+export function createBallPool(geom, capacity = 64) {
+  const { rows } = geom;
+  let s = allocate(capacity, rows);
+  let n = 0;
+
+  function add(kind, { x0, y0, id, rule, stepMs = 0, col = 0, source = 0 }) {
+    if (n === capacity) {
+      capacity *= 2;
+      s = allocate(capacity, rows, s);
+    }
+    const i = n++;
+    for (const k of Object.keys(FIELDS)) s[k][i] = 0;
+    s.kind[i] = kind;
+    s.id[i] = id;
+    s.rule[i] = rule;
+    s.col[i] = col;
+    s.source[i] = source;
+    s.x[i] = x0;
+    s.y[i] = y0;
+    if (kind === STEP) {
+      s.stepMs[i] = Math.max(40, stepMs);
+      s.fx[i] = x0;
+      s.fy[i] = y0;
+      s.tx[i] = x0;
+      s.ty[i] = y0 + geom.spacing;
+    }
+    return i;
+  }
+
+  // record the move at the ball's current row and advance to the next
+  const move = (i, decide) => {
+    const dir = decide(s.rule[i], s.row[i], s.col[i], i);
+    if (dir > 0) s.rights[i] += 1;
+    s.path[i * rows + s.row[i]] = dir;
+    s.col[i] += dir;
+    s.row[i] += 1;
+    return dir;
+  };
+
+  // true once the ball has passed the last row
+  function updateStep(i, dt, decide) {
+    const { spacing, leftBound, rightBound } = geom;
+    s.t[i] += dt * 1000;
+    while (s.t[i] >= s.stepMs[i]) {
+      s.t[i] -= s.stepMs[i];
+      if (s.row[i] >= rows) return true;
+      const dir = move(i, decide);
+      s.fx[i] = s.tx[i];
+      s.fy[i] = s.ty[i];
+      s.ty[i] += spacing;
+      s.tx[i] = clamp(s.tx[i] + dir * (spacing / 2), leftBound, rightBound);
+    }
+    const k = easeInOut(s.t[i] / s.stepMs[i]);
+    s.x[i] = s.fx[i] + (s.tx[i] - s.fx[i]) * k;
+    s.y[i] = s.fy[i] + (s.ty[i] - s.fy[i]) * k;
+    return false;
+  }
+
+  function updateGravity(i, dt, decide) {
+    const { rowYs, spacing, leftBound, rightBound, leftWall, rightWall, boardBottom, ballRadius: r } = geom;
+    s.vy[i] += G * dt;
+    s.vx[i] *= 1 - AIR_DAMPING;
+    s.vy[i] *= 1 - AIR_DAMPING * 0.5;
+
+    if (s.txActive[i]) {
+      s.txT[i] += dt;
+      const u = clamp(s.txT[i] / TX_DUR, 0, 1);
+      s.x[i] = s.txStart[i] + (s.txTarget[i] - s.txStart[i]) * easeInOut(u);
+      if (u >= 1) s.txActive[i] = 0;
+    } else {
+      s.x[i] += s.vx[i] * dt;
+    }
+
+    s.y[i] += s.vy[i] * dt;
+
+    if (s.row[i] < rows && s.y[i] >= rowYs[s.row[i]]) {
+      const dir = move(i, decide);
+      if (dir !== 0) {
+        s.vy[i] = -Math.abs(BOUNCE_VY);
+        s.txStart[i] = s.x[i];
+        s.txTarget[i] = clamp(s.x[i] + dir * (spacing / 2), leftBound + r, rightBound - r);
+        s.txT[i] = 0;
+        s.txActive[i] = 1;
+        s.vx[i] = 0;
+      }
+    }
+
+    if (s.x[i] < leftWall + r) { s.x[i] = leftWall + r; s.vx[i] = Math.abs(s.vx[i]) * 0.6; }
+    if (s.x[i] > rightWall - r) { s.x[i] = rightWall - r; s.vx[i] = -Math.abs(s.vx[i]) * 0.6; }
+
+    return s.y[i] - r >= boardBottom;
+  }
+
+  const copySlot = (from, to) => {
+    for (const k of Object.keys(FIELDS)) s[k][to] = s[k][from];
+    s.path.copyWithin(to * rows, from * rows, (from + 1) * rows);
+    s.rng.copyWithin(to * RNG_WORDS, from * RNG_WORDS, (from + 1) * RNG_WORDS);
+  };
+
+  /**
+   * Advance every ball, step-model balls by `dtStep` and gravity-model balls
+   * by `dtGravity` seconds. `land(i)` is called for each ball that finishes,
+   * in slot order, before the slot is reused; the rest keep their order.
+   */
+  function update(dtStep, dtGravity, decide, land) {
+    let kept = 0;
+    for (let i = 0; i < n; i++) {
+      const done = s.kind[i] === STEP ? updateStep(i, dtStep, decide) : updateGravity(i, dtGravity, decide);
+      if (done) {
+        land(i);
+      } else {
+        if (kept !== i) copySlot(i, kept);
+        kept += 1;
+      }
+    }
+    n = kept;
+  }
+
+  const pathOf = (i) => Array.from(s.path.subarray(i * rows, i * rows + s.row[i]));
+
+  return {
+    add,
+    update,
+    count: () => n,
+    clear: () => {
+      n = 0;
+    },
+    /** The field arrays; only the first count() slots are live, and growing replaces them. */
+    arrays: () => s,
+    pathOf,
+    /** Slot i as a plain object, for code that wants one per ball. */
+    ball: (i) => ({ id: s.id[i], x: s.x[i], y: s.y[i], r: geom.ballRadius, row: s.row[i], col: s.col[i], source: s.source[i], rights: s.rights[i], path: pathOf(i) }),
+  };
+}
@@ -0,0 +1,366 @@
+import { createGeometry } from "./geometry.js";
+import { createBallPool, STEP, GRAVITY, G } from "./balls.js";
+import { cumulative, sampleCdf } from "./distributions.js";
+import { exactPmf, sourcePmfs, pegVisitProbabilities, pathCounts } from "./exact.js";
+import { pegProbability, pegProbsFor } from "./pegs.js";
+import { compileBoard, decideAt, binForColumn, binForSlot, pegUnder, layoutFor } from "./layout.js";
+import { DEFAULT_BOARD, sameShape } from "./lattices.js";
+import { resolveSources, pickSource } from "./sources.js";
+import { GENERATORS, RNG_WORDS, createRng, streamSeed } from "./rng.js";
+import { createWorld, PHYSICS_DEFAULTS } from "./physics.js";
+
+export const MOTION_MODELS = ["step", "gravity", "physics"];
+
+// physics model: bias tilts the board, as a sideways share of gravity
+const TILT = 0.5;
+
+// Fixed simulation tick; step(dt) consumes wall-clock dt in these increments
+// so a run only depends on the seed and the inputs, not the frame rate.
+export const TICK = 1 / 120;
+
+// landed balls whose paths are kept for export; later ones are only tallied
+export const MAX_LANDINGS = 200000;
+
+// stepMs at which the gravity and physics models run in real time
+const BASE_STEP_MS = 140;
+
+/** Seconds between the balls of one batch at `stepMs`: quicker steps mean a tighter stream. */
+export const batchStagger = (stepMs) => Math.max(8, stepMs * 0.04) / 1000;
+
+const DEFAULTS = {
+  rows: 12,
+  board: DEFAULT_BOARD, // triangle, three-way pegs or rectangle, see lattices.js
+  bias: 0,
+  seed: 12345,
+  rng: "mulberry32", // generator, see GENERATORS in rng.js
+  stepMs: BASE_STEP_MS, // ms per row in the step model; paces the other models too
+  motion: "step",
+  pegProbs: null, // per-peg right-step probabilities, see pegs.js
+  layout: null, // removed pegs, walls, blocked / merged bins, see layout.js
+  sources: null, // several drop points, each with its own drop rate, bias and colour, see sources.js
+  physics: PHYSICS_DEFAULTS, // restitution / friction for the physics model
+};
+
+/**
+ * Headless Galton board. No DOM, canvas, `performance` or React: time only
+ * advances through step(dt), so it runs the same in Node and in the browser.
+ *
+ *   const board = createBoard({ rows: 12, bias: 0, seed: 7 });
+ *   board.dropBalls(1000);
+ *   while (board.inFlight()) board.step(1 / 60);
+ *   board.getTallies(); // -> counts per bin, length rows + 1 on the triangle
+ */
+export function createBoard(config = {}) {
+  let cfg = { ...DEFAULTS, ...config };
+  let geom = createGeometry(cfg.rows, cfg.board);
+  let compiled = compileBoard(cfg);
+  let rng = createRng(cfg.rng, cfg.seed); // turbo tallies; each ball has its own stream
+  let balls = createBallPool(geom);
+  let rules = []; // decide(row, col) per distinct set of parameters balls were dropped under
+  let pending = []; // scheduled drops as { at, source }, by sim time `at` ascending
+  let sources = resolveSources(cfg, compiled.lattice);
+  let tallies = Array(compiled.binCount).fill(0);
+  let sourceTallies = sources.map(() => Array(compiled.binCount).fill(0));
+  let time = 0;
+  let ticks = 0; // whole ticks simulated; recordings stamp inputs with this
+  let acc = 0;
+  let nextId = 0; // drop index of the next ball
+  let landings = []; // { id, bin, path, t, source } per landed ball, see getLandings
+  let visits = null; // see getVisits
+  const clearVisits = () => {
+    visits = { reached: Array(cfg.rows).fill(0), pegs: geom.pegRows.map((row) => Array(row.length).fill(0)) };
+  };
+  clearVisits();
+
+  // the ball deciding now: its slot in the pool and its rule's generator
+  let slot = 0;
+  let gen = null;
+  const ballCoin = (p) => gen.next(balls.arrays().rng, slot * RNG_WORDS) / 2 ** 32 < p;
+  const ballCoinFor = (i) => {
+    slot = i;
+    gen = rules[balls.arrays().rule[i]].gen;
+    return ballCoin;
+  };
+
+  // physics world, created on first use and rebuilt with the board
+  let world = null;
+  const getWorld = () => {
+    if (!world) {
+      world = createWorld({ geom, lattice: compiled, rng });
+      world.setParams({ ...cfg.physics, gx: G * cfg.bias * TILT });
+    }
+    return world;
+  };
+
+  // bias, peg map, layout and generator are fixed when a ball is dropped: it
+  // keeps the rule that was current then for its source
+  const currentRule = (source) => {
+    const found = rules.findLastIndex((rule) => rule.cfg === cfg && rule.lattice === compiled && rule.source === source);
+    if (found >= 0) return found;
+    if (!balls.count()) rules = [];
+    const pegProbs = pegProbsFor(cfg);
+    const lattice = compiled;
+    const fallback = sources[source].pRight;
+    const pRightAt = (r, i) => pegProbability(pegProbs, r, i, fallback);
+    rules.push({ cfg, lattice, source, gen: GENERATORS[cfg.rng], decide: (r, c) => decideAt(lattice, r, c, pRightAt, ballCoin) });
+    return rules.length - 1;
+  };
+  const decide = (rule, r, c, i) => {
+    visits.reached[r] += 1;
+    const peg = pegUnder(compiled, r, c);
+    if (peg) visits.pegs[r][peg.i] += 1;
+    ballCoinFor(i);
+    return rules[rule].decide(r, c);
+  };
+
+  // Ball `id` draws from its own stream, seeded from (seed, id): its path
+  // doesn't depend on how many numbers other balls took before it. With
+  // several sources the stream's first number picks the ball's source,
+  // unless the drop named one (it is still drawn, so the path is the same).
+  const spawnState = new Uint32Array(RNG_WORDS);
+  const spawn = (from = null) => {
+    const pick = (draw) => {
+      if (sources.length < 2) return 0;
+      const u = draw();
+      return from ?? pickSource(sources, u);
+    };
+    const id = nextId++;
+    const seed = streamSeed(cfg.seed, id);
+    if (cfg.motion === "physics") {
+      // a sub-pixel jitter is the only randomness; collisions do the rest
+      const ballRng = createRng(cfg.rng, seed);
+      const source = pick(ballRng);
+      const x = geom.centerX + (sources[source].column * geom.spacing) / 2;
+      Object.assign(getWorld().spawn(x + (ballRng() - 0.5), geom.boardTop - geom.spacing * 0.8, ballRng), { id, source });
+      return;
+    }
+    const gen = GENERATORS[cfg.rng];
+    gen.seed(spawnState, 0, seed);
+    const source = pick(() => gen.next(spawnState, 0) / 2 ** 32);
+    const col = sources[source].column;
+    const start = { x0: geom.centerX + (col * geom.spacing) / 2, id, rule: currentRule(source), col, source };
+    const i = cfg.motion === "gravity"
+      ? balls.add(GRAVITY, { ...start, y0: geom.boardTop - geom.spacing * 0.8 })
+      : balls.add(STEP, { ...start, y0: geom.boardTop - geom.spacing * 0.6, stepMs: cfg.stepMs });
+    balls.arrays().rng.set(spawnState, i * RNG_WORDS); // the stream goes on after the pick
+  };
+
+  const land = (id, path, bin, landed, source) => {
+    tallies[bin] += 1;
+    sourceTallies[source][bin] += 1;
+    landed.push({ id, bin, path, source });
+    if (landings.length < MAX_LANDINGS) landings.push({ id, bin, path, t: time, source });
+  };
+
+  const tick = (landed) => {
+    time += TICK;
+    ticks += 1;
+    while (pending.length && pending[0].at <= time) spawn(pending.shift().source);
+    // the step model times its moves from stepMs; the others run faster or
+    // slower by the same factor
+    const paced = (TICK * BASE_STEP_MS) / cfg.stepMs;
+    const { id, col, source } = balls.arrays();
+    balls.update(TICK, paced, decide, (i) => {
+      land(id[i], balls.pathOf(i), binForColumn(compiled, col[i], ballCoinFor(i)), landed, source[i]);
+    });
+    if (world) {
+      for (const b of world.step(paced)) {
+        land(b.id, null, binForSlot(compiled, b.slot, (p) => b.rng() < p), landed, b.source);
+      }
+    }
+  };
+
+  /**
+   * Advance the simulation by dt seconds. Returns `{ id, bin, path, source }`
+   * per ball that landed (see getLandings for `path`).
+   */
+  function step(dt) {
+    const landed = [];
+    acc += Math.max(0, dt);
+    while (acc >= TICK) {
+      acc -= TICK;
+      tick(landed);
+    }
+    return landed;
+  }
+
+  /**
+   * Drop n balls, optionally `stagger` seconds apart (0 drops them all now),
+   * all from drop source `source` if given, else each from one picked by
+   * the sources' rates.
+   */
+  function dropBalls(n, stagger = 0, source = null) {
+    const from = source !== null && source < sources.length ? source : null;
+    for (let i = 0; i < n; i++) {
+      if (stagger > 0) pending.push({ at: time + i * stagger, source: from });
+      else spawn(from);
+    }
+    pending.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Tally n balls without simulating their flight: each final bin is drawn
+   * from the board's exact distribution with a single RNG call (two with
+   * several sources: one picks the source, one the bin from its distribution).
+   */
+  function tallyDirect(n) {
+    const cdfs = sourcePmfs({ ...cfg, layout: layoutFor(cfg) }).map(cumulative);
+    const weights = cumulative(sources.map((s) => s.weight));
+    for (let i = 0; i < n; i++) {
+      const source = sources.length > 1 ? sampleCdf(weights, rng) : 0;
+      const bin = sampleCdf(cdfs[source], rng);
+      tallies[bin] += 1;
+      sourceTallies[source][bin] += 1;
+    }
+  }
+
+  function reset() {
+    balls.clear();
+    rules = [];
+    world?.clear();
+    pending = [];
+    tallies = Array(compiled.binCount).fill(0);
+    sourceTallies = sources.map(() => Array(compiled.binCount).fill(0));
+    landings = [];
+    nextId = 0;
+    clearVisits();
+  }
+
+  /**
+   * Update parameters. `bias`, `pegProbs`, `layout`, `motion`, `sources` and
+   * the odds of a three-way `board` apply to balls dropped afterwards, as
+   * does `stepMs` in the step model (in the other models it paces the balls
+   * already falling); a new `rows` or board shape, or a layout that changes
+   * the bins, rebuilds the board and clears it, as does a new number of
+   * sources; a new `seed` or `rng` (generator) restarts the random streams.
+   * `physics` and the tilt from `bias` act on physics balls immediately.
+   */
+  function configure(patch) {
+    const prev = cfg;
+    const before = sources.length;
+    cfg = { ...cfg, ...patch };
+    sources = resolveSources(cfg, compiled.lattice);
+    if (cfg.rows !== prev.rows || cfg.board !== prev.board || layoutFor(cfg) !== layoutFor(prev)) {
+      const reshaped = cfg.rows !== prev.rows || !sameShape(cfg.board, prev.board);
+      const labels = compiled.binLabels.join();
+      geom = createGeometry(cfg.rows, cfg.board);
+      if (reshaped) balls = createBallPool(geom);
+      compiled = compileBoard(cfg);
+      sources = resolveSources(cfg, compiled.lattice);
+      if (reshaped || compiled.binLabels.join() !== labels) reset();
+      world = null; // new colliders; balls already in it are dropped
+    }
+    if (sources.length !== before) reset();
+    if (cfg.seed !== prev.seed || cfg.rng !== prev.rng) {
+      rng = createRng(cfg.rng, cfg.seed);
+      world = null;
+    }
+    world?.setParams({ ...cfg.physics, gx: G * cfg.bias * TILT });
+  }
+
+  /** Id of the step- or gravity-model ball nearest (x, y), if one is within `maxDist`. */
+  function pickBall(x, y, maxDist = geom.spacing / 2) {
+    const { id, x: bx, y: by } = balls.arrays();
+    let best = null;
+    let bestD = maxDist * maxDist;
+    for (let i = 0; i < balls.count(); i++) {
+      const d = (bx[i] - x) ** 2 + (by[i] - y) ** 2;
+      if (d < bestD) {
+        bestD = d;
+        best = id[i];
+      }
+    }
+    return best;
+  }
+
+  /**
+   * A step- or gravity-model ball still in flight, by id: position, row,
+   * column, source and path so far, plus the `config` it was dropped under
+   * (which, with its source, decides its odds). Null once it has landed.
+   */
+  function getBall(id) {
+    const ids = balls.arrays().id;
+    for (let i = 0; i < balls.count(); i++) {
+      if (ids[i] === id) return { ...balls.ball(i), config: rules[balls.arrays().rule[i]].cfg };
+    }
+    return null;
+  }
+
+  // lattice numbers that only change with the config, computed once per config
+  const perConfig = (compute) => {
+    let memo = null;
+    return () => {
+      if (memo?.cfg !== cfg) memo = { cfg, value: compute({ ...cfg, layout: layoutFor(cfg) }) };
+      return memo.value;
+    };
+  };
+  const visitProbabilities = perConfig(pegVisitProbabilities);
+  const reachProbabilities = perConfig((c) => ({ pegs: pegVisitProbabilities(c), bins: exactPmf(c) }));
+  const getPathCounts = perConfig(pathCounts);
+
+  const getBodies = () => (world ? world.getBodies().filter((b) => !b.landed) : []);
+
+  return {
+    step,
+    dropBalls,
+    tallyDirect,
+    reset,
+    configure,
+    getTallies: () => tallies.slice(),
+    /** Tallies per drop source, in source order; they add up to getTallies(). */
+    getSourceTallies: () => sourceTallies.map((t) => t.slice()),
+    /** The drop sources balls are dropped from now, see resolveSources in sources.js. */
+    getSources: () => sources,
+    /**
+     * Animated balls that have landed, in landing order (up to MAX_LANDINGS):
+     * `{ id, bin, path, t, source }` with the drop index, the bin, the move
+     * taken at each row (-1, 0 or +1; null for physics balls, which make no
+     * discrete choices), the sim time of landing and the drop source. Turbo
+     * tallies have no paths.
+     */
+    getLandings: () => landings.slice(),
+    /**
+     * Peg visits by step- and gravity-model balls since the last reset:
+     * `reached[r]` balls got to row r and `pegs[r][i]` of them hit peg i,
+     * against `expected[r][i]` for that many balls under the current setup.
+     */
+    getVisits: () => {
+      const probs = visitProbabilities();
+      return {
+        reached: visits.reached.slice(),
+        pegs: visits.pegs.map((row) => row.slice()),
+        expected: probs.map((row, r) => row.map((p) => p * visits.reached[r])),
+      };
+    },
+    pickBall,
+    getBall,
+    /** Routes from the top to each peg and bin, see pathCounts in exact.js. */
+    getPathCounts,
+    /** `{ pegs, bins }`: chance of reaching each peg (see pegVisitProbabilities) and each bin. */
+    getReachProbabilities: reachProbabilities,
+    getPmf: () => exactPmf({ ...cfg, layout: layoutFor(cfg) }),
+    /**
+     * Balls still falling, in any motion model, as `{ id, x, y, r, ... }`
+     * objects. Renderers that run every frame should read getBallPool()
+     * and getBodies() instead.
+     */
+    getBalls: () => {
+      const falling = Array.from({ length: balls.count() }, (_, i) => balls.ball(i));
+      return world ? falling.concat(getBodies()) : falling;
+    },
+    /** Step- and gravity-model balls in flight, as typed arrays (see balls.js). */
+    getBallPool: () => balls,
+    /** Physics-model balls in flight. */
+    getBodies,
+    /** Physics-model balls that have dropped into a bin and stay there. */
+    getPile: () => (world ? world.getBodies().filter((b) => b.landed) : []),
+    getConfig: () => ({ ...cfg }),
+    getGeometry: () => geom,
+    getLayout: () => compiled,
+    getTime: () => time,
+    getTick: () => ticks,
+    pendingCount: () => pending.length,
+    /** Balls falling or waiting to drop. */
+    inFlight: () => balls.count() + getBodies().length + pending.length,
+  };
+}
@@ -0,0 +1,50 @@
+// Putting boards with different numbers of rows on one axis. Bin k of a board
+// with n rows sits at x = k - n/2 on the centered axis, or at
+// z = (k - mean) / sd on the standardized one. Heights are densities
+// (probability per unit of x), so boards of any size have the same area.
+import { pmfMoments } from "./stats.js";
+
+export const COMPARE_AXES = ["centered", "standardized"];
+
+/** Observed and expected densities per bin of one board, placed on `axis`. */
+export function densitySeries(tallies, pmf, axis = "centered") {
+  const total = tallies.reduce((a, b) => a + b, 0);
+  const n = tallies.length - 1;
+  const { mean, variance } = pmfMoments(pmf);
+  const sd = Math.sqrt(variance) || 1;
+  const standard = axis === "standardized";
+  const width = standard ? 1 / sd : 1; // one bin in axis units
+  return tallies.map((v, k) => ({
+    x: standard ? (k - mean) / sd : k - n / 2,
+    observed: total ? v / total / width : 0,
+    expected: pmf[k] / width,
+  }));
+}
+
+// linear interpolation of series[key] at x; zero outside the series
+function valueAt(series, key, x) {
+  const eps = 1e-9;
+  if (!series.length || x < series[0].x - eps || x > series[series.length - 1].x + eps) return 0;
+  let j = 0;
+  while (j < series.length - 1 && series[j + 1].x < x - eps) j++;
+  const a = series[j];
+  const b = series[Math.min(j + 1, series.length - 1)];
+  if (Math.abs(a.x - x) < eps || a === b) return a[key];
+  if (Math.abs(b.x - x) < eps) return b[key];
+  return a[key] + ((b[key] - a[key]) * (x - a.x)) / (b.x - a.x);
+}
+
+/**
+ * Density of `a` minus density of `b` at every x where either has a bin.
+ * Boards with the same rows line up bin for bin; otherwise each series is
+ * interpolated linearly between its own bins.
+ */
+export function differenceSeries(a, b) {
+  const xs = [...a, ...b].map((p) => p.x).sort((u, v) => u - v);
+  const unique = xs.filter((x, i) => i === 0 || x - xs[i - 1] > 1e-9);
+  return unique.map((x) => ({
+    x,
+    observed: valueAt(a, "observed", x) - valueAt(b, "observed", x),
+    expected: valueAt(a, "expected", x) - valueAt(b, "expected", x),
+  }));
+}
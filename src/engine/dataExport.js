@@ -0,0 +1,108 @@
+// Run data for spreadsheets and notebooks: the bin table, each landed ball's
+// path, and a metadata header describing the board that produced them.
+//
+// CSV files start with the metadata as `# key: value` comment lines; the JSON
+// export holds everything in one object: { metadata, bins, balls }.
+import { pegProbsFor } from "./pegs.js";
+
+const MOVE = { "-1": "L", "0": "-", "1": "R" };
+
+/** A path of moves (-1, 0, +1 per row) as a string like "LR-RL"; "-" falls through a gap or straight on off a three-way peg. */
+export const pathString = (path) => (path ? path.map((d) => MOVE[d]).join("") : "");
+
+const round = (v) => Number(v.toFixed(6));
+
+/** Observed vs expected counts per bin. */
+export function binTable(tallies, pmf, labels) {
+  const total = tallies.reduce((a, b) => a + b, 0);
+  return tallies.map((observed, bin) => ({
+    bin,
+    label: labels[bin],
+    observed,
+    expected: round(pmf[bin] * total),
+    percent: total ? round((observed / total) * 100) : 0,
+    expectedPercent: round(pmf[bin] * 100),
+  }));
+}
+
+// several drop sources as "column:rate:bias" each, see sources.js
+const sourceList = (sources) => sources.map((s) => `${s.column}:${s.rate}:${s.bias}`).join(" ");
+
+/** Describes the board a run came from. `extra` adds or overrides fields. */
+export function runMetadata(board, extra = {}) {
+  const cfg = board.getConfig();
+  const { lattice } = board.getLayout();
+  const totalBalls = board.getTallies().reduce((a, b) => a + b, 0);
+  return {
+    rows: cfg.rows,
+    board: lattice.type,
+    ...(lattice.straight ? { straight: lattice.straight } : {}),
+    bins: lattice.binCount,
+    bias: cfg.bias,
+    ...(cfg.sources?.length ? { sources: sourceList(cfg.sources) } : {}),
+    seed: cfg.seed,
+    rng: cfg.rng,
+    stepMs: cfg.stepMs,
+    motion: cfg.motion,
+    customPegs: !!pegProbsFor(cfg),
+    customLayout: !board.getLayout().isDefault,
+    totalBalls,
+    ballsWithPaths: board.getLandings().length,
+    exportedAt: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function toCsv(metadata, columns, records) {
+  const head = Object.entries(metadata).map(([k, v]) => `# ${k}: ${v}`);
+  const lines = records.map((r) => columns.map((c) => csvCell(r[c])).join(","));
+  return [...head, columns.join(","), ...lines].join("\n") + "\n";
+}
+
+const ballRecords = (board) => {
+  const labels = board.getLayout().binLabels;
+  return board.getLandings().map(({ id, bin, path, t, source }) => ({
+    ball: id,
+    source,
+    bin,
+    label: labels[bin],
+    rights: path ? path.filter((d) => d > 0).length : null,
+    path,
+    landedAt: Number(t.toFixed(4)),
+  }));
+};
+
+/** The bin table as CSV. */
+export function binsCsv(board, extra) {
+  const rows = binTable(board.getTallies(), board.getPmf(), board.getLayout().binLabels);
+  return toCsv(runMetadata(board, extra), ["bin", "label", "observed", "expected", "percent", "expectedPercent"], rows);
+}
+
+/** One line per landed ball as CSV, with the path as an L/R string (and its drop source, with several). */
+export function pathsCsv(board, extra) {
+  const rows = ballRecords(board).map((r) => ({ ...r, path: pathString(r.path) }));
+  const columns = board.getConfig().sources?.length ? ["ball", "source", "bin", "label", "rights", "path", "landedAt"] : ["ball", "bin", "label", "rights", "path", "landedAt"];
+  return toCsv(runMetadata(board, extra), columns, rows);
+}
+
+/** Metadata, bin table and per-ball paths (as arrays of moves) in one object. */
+export function runJson(board, extra) {
+  return {
+    metadata: { ...runMetadata(board, extra), config: board.getConfig() },
+    bins: binTable(board.getTallies(), board.getPmf(), board.getLayout().binLabels),
+    balls: ballRecords(board),
+  };
+}
+
+const SWEEP_COLUMNS = ["rows", "bias", "pRight", "balls", "seed", "mean", "theoryMean", "variance", "theoryVariance", "chiSquare", "df", "pValue", "tvd"];
+
+/** One line per run of a parameter sweep (see sweep.js); `metadata` heads the file. */
+export function sweepCsv(results, metadata) {
+  const records = results.map((r) => Object.fromEntries(SWEEP_COLUMNS.map((c) => [c, Number.isFinite(r[c]) ? round(r[c]) : ""])));
+  return toCsv({ ...metadata, runs: results.length, exportedAt: new Date().toISOString() }, SWEEP_COLUMNS, records);
+}
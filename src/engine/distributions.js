@@ -0,0 +1,143 @@
+// Probability distributions: the idealized board's exact bins, and the
+// normal and Beta curves used to approximate or estimate them.
+
+// log C(n, k), stable for the row counts we use
+const logChoose = (n, k) => {
+  let s = 0;
+  for (let i = 1; i <= k; i++) s += Math.log(n - k + i) - Math.log(i);
+  return s;
+};
+
+/** P(bin = k) for k = 0..rows when every peg sends a ball right with prob p. */
+export function binomialPmf(rows, p) {
+  return Array.from({ length: rows + 1 }, (_, k) => {
+    if (p <= 0) return k === 0 ? 1 : 0;
+    if (p >= 1) return k === rows ? 1 : 0;
+    return Math.exp(logChoose(rows, k) + k * Math.log(p) + (rows - k) * Math.log(1 - p));
+  });
+}
+
+/** Running sum of a pmf; the last entry is forced to 1. */
+export function cumulative(pmf) {
+  let s = 0;
+  const out = pmf.map((v) => (s += v));
+  out[out.length - 1] = 1;
+  return out;
+}
+
+/** Draw an index from a cumulative distribution with one uniform. */
+export function sampleCdf(cdf, rng) {
+  const u = rng();
+  let lo = 0;
+  let hi = cdf.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (u < cdf[mid]) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/** Normal density. */
+export function normalPdf(x, mean, sd) {
+  if (!(sd > 0)) return x === mean ? Infinity : 0;
+  const z = (x - mean) / sd;
+  return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+}
+
+// erf, Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+/** Normal CDF. */
+export function normalCdf(x, mean, sd) {
+  if (!(sd > 0)) return x < mean ? 0 : 1;
+  return 0.5 * (1 + erf((x - mean) / (sd * Math.SQRT2)));
+}
+
+/** ln Γ(x) for x > 0, Lanczos approximation. */
+export function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155, 0.001208650973866179, -5.395239384953e-6];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((Math.sqrt(2 * Math.PI) * ser) / x);
+}
+
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+/** Beta(a, b) density. */
+export function betaPdf(x, a, b) {
+  if (x < 0 || x > 1) return 0;
+  if (x === 0) return a < 1 ? Infinity : a === 1 ? b : 0;
+  if (x === 1) return b < 1 ? Infinity : b === 1 ? a : 0;
+  return Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logBeta(a, b));
+}
+
+// continued fraction for the incomplete beta function (Numerical Recipes' betacf);
+// it takes about sqrt(max(a, b)) terms
+function betaFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 10000; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+// past this many pseudo-observations a Beta is a normal for any purpose here,
+// and the continued fraction gets slow
+const BETA_NORMAL_SIZE = 1e6;
+
+const betaMoments = (a, b) => ({ mean: a / (a + b), sd: Math.sqrt((a * b) / ((a + b) ** 2 * (a + b + 1))) });
+
+/** Beta(a, b) CDF, the regularized incomplete beta function I_x(a, b). */
+export function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (a + b > BETA_NORMAL_SIZE) {
+    const { mean, sd } = betaMoments(a, b);
+    return normalCdf(x, mean, sd);
+  }
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logBeta(a, b));
+  // the fraction converges fast on the side of the mean it is evaluated on
+  return x < (a + 1) / (a + b + 2) ? (front * betaFraction(x, a, b)) / a : 1 - (front * betaFraction(1 - x, b, a)) / b;
+}
+
+/** The q-quantile of Beta(a, b), by bisection on the CDF. */
+export function betaQuantile(q, a, b) {
+  let lo = 0;
+  let hi = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (betaCdf(mid, a, b) < q) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
@@ -0,0 +1,127 @@
+// Exact bin distribution for a board configuration.
+import { pegProbability, pegProbsFor } from "./pegs.js";
+import { compileBoard, columnsToBins, pegUnder } from "./layout.js";
+import { resolveSources } from "./sources.js";
+
+// the compiled board and its drop sources (see sources.js), each with the
+// right-step odds of its balls at every peg
+const setup = (config) => {
+  const compiled = compileBoard(config);
+  const pegProbs = pegProbsFor(config);
+  const sources = resolveSources(config, compiled.lattice).map((s) => ({
+    ...s,
+    pRightAt: (r, i) => pegProbability(pegProbs, r, i, s.pRight),
+  }));
+  return { compiled, sources };
+};
+
+// One row of the dynamic programme: dist[c + span] is the weight at column c
+// of row r (see layout.js and lattices.js); returns the same for row r + 1.
+// With pRightAt a peg splits the weight by its odds; without, every way out
+// gets all of it, which counts paths instead.
+function nextRow(compiled, r, dist, pRightAt) {
+  const { span, straight } = compiled.lattice;
+  const next = Array(dist.length).fill(0);
+  dist.forEach((w, idx) => {
+    if (!w) return;
+    const peg = pegUnder(compiled, r, idx - span);
+    if (!peg) next[idx] += w;
+    else if (peg.wall) next[idx + (peg.wall === "left" ? 1 : -1)] += w;
+    else {
+      const p = pRightAt ? pRightAt(r, peg.i) : null;
+      const turned = p === null ? w : w * (1 - straight);
+      if (straight) next[idx] += p === null ? w : w * straight;
+      next[idx + 1] += p === null ? w : turned * p;
+      next[idx - 1] += p === null ? w : turned * (1 - p);
+    }
+  });
+  return next;
+}
+
+// the weight on each peg (0 where there is none), row by row, and the final
+// weight per bin, for balls dropped at `column`
+function walkLattice(compiled, pRightAt, column = 0) {
+  const { rows, lattice } = compiled;
+  let dist = Array(2 * lattice.span + 1).fill(0);
+  dist[column + lattice.span] = 1;
+  const pegs = [];
+  for (let r = 0; r < rows; r++) {
+    pegs.push(lattice.pegColumns(r).map((c, i) => (compiled.hasPeg(r, i) ? dist[c + lattice.span] : 0)));
+    dist = nextRow(compiled, r, dist, pRightAt);
+  }
+  return { pegs, bins: columnsToBins(compiled, dist) };
+}
+
+// walkLattice from every source, summed with weight(source) (nested arrays
+// added element by element)
+function mixed(compiled, sources, pRightOf, weight) {
+  const add = (acc, part, w) => part.map((v, k) => (Array.isArray(v) ? add(acc?.[k], v, w) : (acc?.[k] ?? 0) + w * v));
+  return sources.reduce((acc, s) => {
+    const walk = walkLattice(compiled, pRightOf(s), s.column);
+    return { pegs: add(acc?.pegs, walk.pegs, weight(s)), bins: add(acc?.bins, walk.bins, weight(s)) };
+  }, null);
+}
+
+/**
+ * Dynamic programme over the peg lattice. With per-peg probabilities this is
+ * a Poisson-binomial distribution; with neither those nor layout edits it is
+ * Binomial(rows, 0.5 + bias). Three-way pegs give a trinomial distribution
+ * of right minus left steps, and the side walls of a rectangle fold the
+ * binomial back on itself. Several drop sources give the mixture of their
+ * distributions, weighted by their drop rates: shifted binomials on the plain
+ * board.
+ */
+export function exactPmf(config) {
+  const { compiled, sources } = setup(config);
+  return mixed(compiled, sources, (s) => s.pRightAt, (s) => s.weight).bins;
+}
+
+/** The bin distribution of each drop source's balls on their own, in source order. */
+export function sourcePmfs(config) {
+  const { compiled, sources } = setup(config);
+  return sources.map((s) => walkLattice(compiled, s.pRightAt, s.column).bins);
+}
+
+/**
+ * Chance that a ball reaching row r lands on peg i there, per row (one value
+ * per peg, r + 1 on the triangle; 0 for removed pegs). On the plain board this is Pascal's triangle,
+ * C(r, i) p^i (1 - p)^(r - i).
+ */
+export function pegVisitProbabilities(config) {
+  const { compiled, sources } = setup(config);
+  return mixed(compiled, sources, (s) => s.pRightAt, (s) => s.weight).pegs;
+}
+
+/**
+ * Number of distinct routes from the top to each peg and each bin: Pascal's
+ * triangle, C(r, i) and C(rows, k), on the plain board. Gaps and walls pass
+ * routes on without splitting them; a ball between two bins counts half for
+ * each, as binForColumn bounces it either way. With several drop sources,
+ * the routes from all of them.
+ */
+export function pathCounts(config) {
+  const { compiled, sources } = setup(config);
+  return mixed(compiled, sources, () => null, () => 1);
+}
+
+/**
+ * Probability of one exact sequence of moves (-1, 0, +1 per row, as in
+ * getLandings) for a ball of drop source `source`, given that it came from
+ * there; 0 if the board could not produce it.
+ */
+export function pathProbability(config, path, source = 0) {
+  const { compiled, sources } = setup(config);
+  const { column, pRightAt } = sources[source] ?? sources[0];
+  let c = column;
+  let prob = 1;
+  path.forEach((dir, r) => {
+    const peg = pegUnder(compiled, r, c);
+    const { straight } = compiled.lattice;
+    if (!peg) prob *= dir === 0 ? 1 : 0;
+    else if (peg.wall) prob *= dir === (peg.wall === "left" ? 1 : -1) ? 1 : 0;
+    else if (dir === 0) prob *= straight;
+    else prob *= (1 - straight) * (dir > 0 ? pRightAt(r, peg.i) : 1 - pRightAt(r, peg.i));
+    c += dir;
+  });
+  return prob;
+}
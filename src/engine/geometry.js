@@ -0,0 +1,85 @@
+// Board geometry in unscaled board units; renderers apply their own scale.
+import { createLattice, DEFAULT_BOARD } from "./lattices.js";
+
+export const BASE_WIDTH = 520;
+export const BASE_HEIGHT = 700;
+export const SPACING = 28;
+export const PEG_RADIUS = 3;
+export const BALL_RADIUS = 3.2;
+const SIDE_MARGIN = 8; // between the outer bin walls and the board's edges
+
+/**
+ * Geometry for `rows` rows of a board type (see lattices.js) on the
+ * BASE_WIDTH × BASE_HEIGHT board. Rows sit SPACING apart while that fits;
+ * more rows or bins shrink the spacing, and the peg and ball radii with it,
+ * so the lattice and its bins always fit.
+ */
+export function createGeometry(rows, board = DEFAULT_BOARD) {
+  const lattice = createLattice(rows, board);
+  const width = BASE_WIDTH;
+  const height = BASE_HEIGHT;
+  const centerX = width / 2;
+  const topMargin = 40;
+  const bottomMargin = 160;
+  const boardTop = topMargin + 20;
+  const boardBottom = height - bottomMargin;
+  const binBase = height - 20;
+  // the bins between the outer walls across, and a spacing's clearance under the last row
+  const spacing = Math.min(SPACING, (width - 2 * SIDE_MARGIN) / lattice.halfWidth, (boardBottom - boardTop) / rows);
+  const shrink = spacing / SPACING;
+  const xAt = (c) => centerX + (c * spacing) / 2;
+
+  const rowYs = Array.from({ length: rows }, (_, r) => boardTop + r * spacing);
+  const pegRows = rowYs.map((y, r) => lattice.pegColumns(r).map((c) => ({ x: xAt(c), y })));
+
+  const { binCount, binPitch, halfWidth } = lattice;
+  const binWidth = (binPitch * spacing) / 2;
+  const binCenters = Array.from({ length: binCount }, (_, k) => xAt(binPitch * (k + 0.5) - halfWidth));
+
+  return {
+    rows,
+    width,
+    height,
+    spacing,
+    centerX,
+    boardTop,
+    boardBottom,
+    binBase,
+    pegRows,
+    rowYs,
+    binCount,
+    binCenters,
+    binWidth,
+    pegRadius: PEG_RADIUS * shrink,
+    ballRadius: BALL_RADIUS * shrink,
+    // lattice bounds (outermost landing columns) and the outer bin walls
+    leftBound: binCenters[0],
+    rightBound: binCenters[binCount - 1],
+    leftWall: xAt(-halfWidth),
+    rightWall: xAt(halfWidth),
+  };
+}
+
+/** The peg { r, i } nearest to board point (x, y), or null if none is within half a spacing. */
+export function pegAt(geom, x, y) {
+  let best = null;
+  let bestD = (geom.spacing / 2) ** 2;
+  geom.pegRows.forEach((row, r) =>
+    row.forEach((p, i) => {
+      const d = (p.x - x) ** 2 + (p.y - y) ** 2;
+      if (d < bestD) {
+        bestD = d;
+        best = { r, i };
+      }
+    })
+  );
+  return best;
+}
+
+/** Wall beside peg (r, i): a ramp from up-and-outside down to the peg's `side`. */
+export function wallSegment(geom, r, i, side) {
+  const p = geom.pegRows[r][i];
+  const sign = side === "left" ? -1 : 1;
+  const o = geom.pegRadius + 2;
+  return { x1: p.x + sign * (geom.spacing / 2 + o), y1: p.y - geom.spacing, x2: p.x + sign * o, y2: p.y };
+}
@@ -0,0 +1,22 @@
+export { createBoard, batchStagger, MOTION_MODELS, TICK, MAX_LANDINGS } from "./board.js";
+export { createGeometry, pegAt, wallSegment } from "./geometry.js";
+export { createLattice, boardOfType, isTriangle, BOARD_TYPES, BOARD_KINDS, DEFAULT_BOARD, STRAIGHT_DEFAULT, RECT_BINS } from "./lattices.js";
+export { createBallPool } from "./balls.js";
+export { mulberry32, createRng, streamSeed, GENERATORS, RNG_KINDS, isSeedable } from "./rng.js";
+export { frequencyTest, runsTest, serialCorrelationTest, rngDiagnostics } from "./rngTests.js";
+export { clamp, biasToPRight } from "./math.js";
+export { runTurbo, TURBO_MAX } from "./turbo.js";
+export { binomialPmf, cumulative, sampleCdf, normalPdf, normalCdf, betaPdf, betaCdf, betaQuantile } from "./distributions.js";
+export { PRIORS, hiddenBias, stepCounts, estimateP } from "./inference.js";
+export { pmfMoments, sampleMoments, chiSquarePValue, chiSquareTest, totalVariation, klDivergence } from "./stats.js";
+export { exactPmf, sourcePmfs, pegVisitProbabilities, pathCounts, pathProbability } from "./exact.js";
+export { resolveSources, pickSource, newSource, splitSources, MAX_SOURCES, SOURCE_COLORS, DEFAULT_RATE } from "./sources.js";
+export { pegProbability, pegProbsFor, uniformPegs, rowGradient, halfSplit, setPeg } from "./pegs.js";
+export { emptyLayout, parseLayout, compileLayout, compileBoard, togglePeg, toggleWall, addFunnel, toggleBlockedBin, toggleMerge } from "./layout.js";
+export { createWorld, PBall, PHYSICS_DEFAULTS } from "./physics.js";
+export { recordBoard, parseRecording, createPlayer, RECORDING_VERSION } from "./recording.js";
+export { pathString, binTable, runMetadata, binsCsv, pathsCsv, runJson, sweepCsv } from "./dataExport.js";
+export { COMPARE_AXES, densitySeries, differenceSeries } from "./compare.js";
+export { snapshotBoard, frozenBoard } from "./snapshot.js";
+export { createStepper } from "./stepper.js";
+export { runSweep, sweepGrid, sweepSize, rangeValues, tallyBalls, SWEEP_MAX_RUNS } from "./sweep.js";
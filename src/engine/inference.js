@@ -0,0 +1,63 @@
+// Estimating the right-step probability p of a plain board from its tallies.
+//
+// A ball in bin k took k right steps out of `rows`, so a run of balls is
+// rows × balls Bernoulli(p) trials, and bin k's tally adds k × tally
+// successes. That only holds when every peg uses the same p: per-peg
+// probabilities, layout edits and the physics model break it.
+import { betaQuantile } from "./distributions.js";
+import { mulberry32, streamSeed } from "./rng.js";
+
+/** Beta priors for p worth having a name for. */
+export const PRIORS = {
+  uniform: { label: "Uniform, Beta(1, 1)", a: 1, b: 1 },
+  jeffreys: { label: "Jeffreys, Beta(½, ½)", a: 0.5, b: 0.5 },
+  fair: { label: "Probably fair, Beta(50, 50)", a: 50, b: 50 },
+};
+
+// the hidden bias's own stream: ball ids start at 0, so no ball shares it
+const HIDDEN_STREAM = -1;
+
+/** A bias in [-range, range] (to the bias slider's 0.01 step) that depends only on `seed`. */
+export function hiddenBias(seed, range = 0.25) {
+  const u = mulberry32(streamSeed(seed, HIDDEN_STREAM))();
+  return Math.round((u * 2 - 1) * range * 100) / 100 || 0;
+}
+
+/** Right steps and trials in `tallies` of a board with `rows` rows. */
+export function stepCounts(tallies, rows) {
+  const balls = tallies.reduce((a, b) => a + b, 0);
+  const right = tallies.reduce((s, v, k) => s + k * v, 0);
+  return { balls, right, trials: balls * rows };
+}
+
+/**
+ * What `tallies` say about p under a Beta(prior.a, prior.b) prior:
+ *
+ *   mle        right / trials, with its standard error `se` (NaN before any ball)
+ *   posterior  { a, b, mean, mode, sd } of the conjugate Beta posterior
+ *   interval   [lo, hi], the equal-tailed credible interval holding `level` of it
+ */
+export function estimateP(tallies, rows, prior, level = 0.95) {
+  const { balls, right, trials } = stepCounts(tallies, rows);
+  const mle = trials ? right / trials : NaN;
+  const a = prior.a + right;
+  const b = prior.b + trials - right;
+  const n = a + b;
+  const posterior = {
+    a,
+    b,
+    mean: a / n,
+    mode: a > 1 && b > 1 ? (a - 1) / (n - 2) : NaN,
+    sd: Math.sqrt((a * b) / (n * n * (n + 1))),
+  };
+  const tail = (1 - level) / 2;
+  return {
+    balls,
+    right,
+    trials,
+    mle,
+    se: trials ? Math.sqrt((mle * (1 - mle)) / trials) : NaN,
+    posterior,
+    interval: [betaQuantile(tail, a, b), betaQuantile(1 - tail, a, b)],
+  };
+}
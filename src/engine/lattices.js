@@ -0,0 +1,103 @@
+// Board types: where the pegs and bins of a board sit, in the half-spacing
+// columns of layout.js (a ball at column c is c · spacing / 2 off centre).
+//
+//   triangle   r + 1 pegs in row r, at c = 2i - r; rows + 1 bins
+//   threeWay   a peg under every column, 2r + 1 in row r at c = i - r, that
+//              sends the ball left, straight down or right; 2 rows + 1 bins,
+//              half a spacing wide
+//   rectangle  staggered rows filling a box `bins` bins wide, any number of
+//              them; the side walls turn a ball on an outermost peg back in.
+//              When bins - 1 and rows differ in parity the last row's gaps
+//              sit over the dividers, and balls bounce off them either way
+//
+// A board type is plain JSON: { type: "triangle" }, { type: "threeWay",
+// straight: 0.4 } with the chance of going straight on, or { type:
+// "rectangle", bins: 8 }.
+
+export const BOARD_TYPES = {
+  triangle: "Triangle",
+  threeWay: "Three-way pegs",
+  rectangle: "Rectangle with walls",
+};
+export const BOARD_KINDS = Object.keys(BOARD_TYPES);
+export const DEFAULT_BOARD = { type: "triangle" };
+export const STRAIGHT_DEFAULT = 1 / 3;
+export const RECT_BINS = { min: 2, max: 40, def: 8 };
+
+/** A board of `type` with the default settings. */
+export function boardOfType(type) {
+  if (type === "threeWay") return { type, straight: STRAIGHT_DEFAULT };
+  if (type === "rectangle") return { type, bins: RECT_BINS.def };
+  return DEFAULT_BOARD;
+}
+
+/** Whether a config has the plain triangle, the only board per-peg probabilities and layouts are made for. */
+export const isTriangle = (config) => (config.board?.type ?? "triangle") === "triangle";
+
+/** Whether two board types have the same pegs and bins (they may still differ in odds). */
+export const sameShape = (a = DEFAULT_BOARD, b = DEFAULT_BOARD) => a.type === b.type && (a.type !== "rectangle" || a.bins === b.bins);
+
+// pegs every `step` columns from `from` to -from
+const columnsFrom = (from, step) => Array.from({ length: Math.floor((-2 * from) / step) + 1 }, (_, i) => from + i * step);
+
+/**
+ * The lattice of `rows` rows of a board type:
+ *   - pegColumns(r): the column of each peg of row r, left to right
+ *   - pegIndex(r, c): which peg of row r is at column c, or -1
+ *   - edgeAt(c): "left" / "right" for pegs against a side wall (the ball
+ *     can't leave on that side, as with layout walls), else null
+ *   - straight: chance a peg sends the ball straight down (three-way only)
+ *   - binCount, binPitch (columns between neighbouring bins), halfWidth
+ *     (columns from the centre to the outer bin walls), span (largest |c|
+ *     of a peg or bin)
+ *   - slotOf(c): the bin under column c, fractional between two bins
+ */
+export function createLattice(rows, board = DEFAULT_BOARD) {
+  if (board.type === "threeWay") {
+    return {
+      type: board.type,
+      rows,
+      pegColumns: (r) => columnsFrom(-r, 1),
+      pegIndex: (r, c) => (Math.abs(c) <= r ? c + r : -1),
+      edgeAt: () => null,
+      straight: board.straight ?? STRAIGHT_DEFAULT,
+      binCount: 2 * rows + 1,
+      binPitch: 1,
+      halfWidth: rows + 0.5,
+      span: rows,
+      slotOf: (c) => c + rows,
+    };
+  }
+  if (board.type === "rectangle") {
+    const bins = board.bins ?? RECT_BINS.def;
+    const edge = bins - 1; // column of the outermost bins, and of the pegs beside the walls
+    // the first peg of row r: columns share the row's parity
+    const first = (r) => -edge + ((edge + r) % 2);
+    return {
+      type: board.type,
+      rows,
+      pegColumns: (r) => columnsFrom(first(r), 2),
+      pegIndex: (r, c) => (Math.abs(c) <= edge && (c + r) % 2 === 0 ? (c - first(r)) / 2 : -1),
+      edgeAt: (c) => (c === -edge ? "left" : c === edge ? "right" : null),
+      straight: 0,
+      binCount: bins,
+      binPitch: 2,
+      halfWidth: bins,
+      span: edge,
+      slotOf: (c) => (c + edge) / 2,
+    };
+  }
+  return {
+    type: "triangle",
+    rows,
+    pegColumns: (r) => columnsFrom(-r, 2),
+    pegIndex: (r, c) => ((c + r) % 2 === 0 && Math.abs(c) <= r ? (c + r) / 2 : -1),
+    edgeAt: () => null,
+    straight: 0,
+    binCount: rows + 1,
+    binPitch: 2,
+    halfWidth: rows + 1,
+    span: rows,
+    slotOf: (c) => (c + rows) / 2,
+  };
+}
@@ -0,0 +1,261 @@
+// Editable board layouts: removed pegs, walls beside pegs, blocked and merged
+// bins. A layout is plain JSON so it can be saved and loaded:
+//
+//   {
+//     version: 1,
+//     rows: 12,
+//     removed: [[r, i], ...],              // pegs taken out; balls fall straight past
+//     walls: [{ r, i, side: "left" }],     // the ball can't leave peg (r, i) on that side
+//     blockedBins: [k, ...],               // capped bins; balls roll off to a neighbour
+//     mergedBins: [[from, to], ...],       // inclusive runs of bins with no dividers
+//   }
+//
+// Positions are tracked in half-spacing columns: a ball at row r is at column
+// c in [-r, r], and peg i of row r sits at c = 2i - r. A ball whose column
+// has the wrong parity for its row is between pegs and falls straight through.
+// Other board types place their pegs and bins differently (see lattices.js);
+// layouts are only made for the triangle.
+import { createLattice, isTriangle } from "./lattices.js";
+
+export const LAYOUT_VERSION = 1;
+const SIDES = ["left", "right"];
+
+/** A config's layout, or null if it was saved for a different number of rows or the board isn't a triangle, and so doesn't apply. */
+export const layoutFor = (config) => (config.layout?.rows === config.rows && isTriangle(config) ? config.layout : null);
+
+export function emptyLayout(rows) {
+  return { version: LAYOUT_VERSION, rows, removed: [], walls: [], blockedBins: [], mergedBins: [] };
+}
+
+const isInt = (v) => Number.isInteger(v);
+const validPeg = (rows, r, i) => isInt(r) && isInt(i) && r >= 0 && r < rows && i >= 0 && i <= r;
+const validBin = (rows, k) => isInt(k) && k >= 0 && k <= rows;
+
+/** Validate a parsed layout object; throws with a readable message on bad input. */
+export function parseLayout(data) {
+  if (!data || typeof data !== "object") throw new Error("Layout must be a JSON object.");
+  const { rows } = data;
+  if (!isInt(rows) || rows < 1) throw new Error("Layout needs a positive integer `rows`.");
+  const removed = data.removed ?? [];
+  const walls = data.walls ?? [];
+  const blockedBins = data.blockedBins ?? [];
+  const mergedBins = data.mergedBins ?? [];
+  if (![removed, walls, blockedBins, mergedBins].every(Array.isArray)) throw new Error("Layout fields must be arrays.");
+  removed.forEach((p) => {
+    if (!Array.isArray(p) || !validPeg(rows, p[0], p[1])) throw new Error(`Invalid removed peg ${JSON.stringify(p)}.`);
+  });
+  walls.forEach((w) => {
+    if (!w || !validPeg(rows, w.r, w.i) || !SIDES.includes(w.side)) throw new Error(`Invalid wall ${JSON.stringify(w)}.`);
+  });
+  blockedBins.forEach((k) => {
+    if (!validBin(rows, k)) throw new Error(`Invalid blocked bin ${JSON.stringify(k)}.`);
+  });
+  mergedBins.forEach((m) => {
+    if (!Array.isArray(m) || !validBin(rows, m[0]) || !validBin(rows, m[1]) || m[0] >= m[1]) throw new Error(`Invalid merged bins ${JSON.stringify(m)}.`);
+  });
+  if (compileLayout({ rows, blockedBins, mergedBins }).openSlots === 0) throw new Error("At least one bin must stay open.");
+  return {
+    version: LAYOUT_VERSION,
+    rows,
+    removed: removed.map(([r, i]) => [r, i]),
+    walls: walls.map(({ r, i, side }) => ({ r, i, side })),
+    blockedBins: [...blockedBins],
+    mergedBins: mergedBins.map(([a, b]) => [a, b]),
+  };
+}
+
+const key = (r, i) => `${r}:${i}`;
+
+/**
+ * Precompute lookups for a layout (or null for the plain board) on `lattice`
+ * (see lattices.js; the triangle by default):
+ *   - hasPeg(r, i), wallAt(r, i)
+ *   - groups: list of slot runs that form one bin, left to right
+ *   - slotToBin: slot k (one per bin of the lattice) -> bin index, or -1 for a blocked slot
+ *   - binCount, binLabels, openSlots
+ */
+export function compileLayout(layout, rows = layout?.rows, lattice = createLattice(rows)) {
+  const removed = new Set((layout?.removed ?? []).map(([r, i]) => key(r, i)));
+  const walls = new Map((layout?.walls ?? []).map((w) => [key(w.r, w.i), w.side]));
+  const blocked = new Set(layout?.blockedBins ?? []);
+
+  // a divider sits between slot j and j + 1 unless a merged run spans it
+  const joined = new Set();
+  (layout?.mergedBins ?? []).forEach(([a, b]) => {
+    for (let j = a; j < b; j++) joined.add(j);
+  });
+
+  const groups = [];
+  let cur = [];
+  for (let k = 0; k < lattice.binCount; k++) {
+    cur.push(k);
+    if (!joined.has(k)) {
+      groups.push(cur);
+      cur = [];
+    }
+  }
+  // blocked slots keep their bin (it just never fills) but map to -1 so
+  // balls landing there roll on to an open slot
+  const slotToBin = Array(lattice.binCount).fill(-1);
+  groups.forEach((g, b) => g.forEach((k) => {
+    if (!blocked.has(k)) slotToBin[k] = b;
+  }));
+
+  return {
+    rows,
+    lattice,
+    hasPeg: (r, i) => !removed.has(key(r, i)),
+    wallAt: (r, i) => walls.get(key(r, i)) ?? null,
+    groups,
+    slotToBin,
+    blockedSlots: blocked,
+    binCount: groups.length,
+    openSlots: slotToBin.filter((b) => b >= 0).length,
+    binLabels: groups.map((g) => (g.length > 1 ? `${g[0]}–${g[g.length - 1]}` : `${g[0]}`)),
+    isDefault: !removed.size && !walls.size && !blocked.size && !joined.size,
+  };
+}
+
+/** A config's board compiled: its lattice, with its layout if that applies. */
+export const compileBoard = (config) => compileLayout(layoutFor(config), config.rows, createLattice(config.rows, config.board));
+
+/**
+ * The peg { i, wall } a ball at column c of row r sits on, or null if it
+ * falls between pegs. A side wall of the board counts as a wall.
+ */
+export function pegUnder(compiled, r, c) {
+  const i = compiled.lattice.pegIndex(r, c);
+  if (i < 0 || !compiled.hasPeg(r, i)) return null;
+  return { i, wall: compiled.wallAt(r, i) ?? compiled.lattice.edgeAt(c) };
+}
+
+/**
+ * Direction taken at row r from column c: -1 / +1 off a peg (or 0, straight
+ * on, off a three-way peg), 0 when there is no peg under the ball. `coin(p)`
+ * returns true with probability p: first for going straight on, where pegs
+ * can, then for going right.
+ */
+export function decideAt(compiled, r, c, pRightAt, coin) {
+  const peg = pegUnder(compiled, r, c);
+  if (!peg) return 0;
+  if (peg.wall) return peg.wall === "left" ? 1 : -1;
+  const { straight } = compiled.lattice;
+  if (straight && coin(straight)) return 0;
+  return coin(pRightAt(r, peg.i)) ? 1 : -1;
+}
+
+/**
+ * Resolve a final column to a bin: a ball between two slots bounces off the
+ * divider tip (fair coin), then see binForSlot.
+ */
+export function binForColumn(compiled, c, coin) {
+  let k = compiled.lattice.slotOf(c);
+  if (!Number.isInteger(k)) k = coin(0.5) ? Math.ceil(k) : Math.floor(k);
+  return binForSlot(compiled, k, coin);
+}
+
+/** The bin of slot k: a ball on a blocked slot rolls to the nearest open one on a randomly chosen side. */
+export function binForSlot(compiled, k, coin) {
+  const { slotToBin } = compiled;
+  if (slotToBin[k] >= 0) return slotToBin[k];
+  const { left, right } = nearestOpen(slotToBin, k);
+  if (left < 0) return slotToBin[right];
+  if (right < 0) return slotToBin[left];
+  return slotToBin[coin(0.5) ? right : left];
+}
+
+function nearestOpen(slotToBin, k) {
+  let left = k - 1;
+  while (left >= 0 && slotToBin[left] < 0) left--;
+  let right = k + 1;
+  while (right < slotToBin.length && slotToBin[right] < 0) right++;
+  return { left, right: right < slotToBin.length ? right : -1 };
+}
+
+/** Distribution over columns (indexed by c + lattice.span) -> distribution over bins, mirroring binForColumn. */
+export function columnsToBins(compiled, colDist) {
+  const { lattice, slotToBin, binCount } = compiled;
+  const slots = Array(lattice.binCount).fill(0);
+  colDist.forEach((w, idx) => {
+    if (!w) return;
+    const k = lattice.slotOf(idx - lattice.span); // idx = c + span
+    if (Number.isInteger(k)) slots[k] += w;
+    else {
+      slots[Math.floor(k)] += w / 2;
+      slots[Math.ceil(k)] += w / 2;
+    }
+  });
+  const bins = Array(binCount).fill(0);
+  slots.forEach((w, k) => {
+    if (!w) return;
+    if (slotToBin[k] >= 0) bins[slotToBin[k]] += w;
+    else {
+      const { left, right } = nearestOpen(slotToBin, k);
+      if (left >= 0 && right >= 0) {
+        bins[slotToBin[left]] += w / 2;
+        bins[slotToBin[right]] += w / 2;
+      } else bins[slotToBin[left >= 0 ? left : right]] += w;
+    }
+  });
+  return bins;
+}
+
+// ---------- immutable edits ----------
+
+const base = (layout, rows) => layout ?? emptyLayout(rows);
+
+export function togglePeg(layout, rows, r, i) {
+  const l = base(layout, rows);
+  const has = l.removed.some(([rr, ii]) => rr === r && ii === i);
+  return { ...l, removed: has ? l.removed.filter(([rr, ii]) => rr !== r || ii !== i) : [...l.removed, [r, i]] };
+}
+
+export function toggleWall(layout, rows, r, i, side) {
+  const l = base(layout, rows);
+  const existing = l.walls.find((w) => w.r === r && w.i === i);
+  const walls = l.walls.filter((w) => w.r !== r || w.i !== i);
+  return { ...l, walls: existing?.side === side ? walls : [...walls, { r, i, side }] };
+}
+
+/**
+ * A V-shaped funnel whose mouth spans pegs i..i + width - 1 of row r. Each row
+ * down the edges move in by one peg until they meet.
+ */
+export function addFunnel(layout, rows, r, i, width) {
+  const l = base(layout, rows);
+  let walls = l.walls;
+  const a = i;
+  const b = Math.min(r, i + width - 1);
+  for (let d = 0; r + d < rows && a + d < b; d++) {
+    const left = { r: r + d, i: a + d, side: "left" };
+    const right = { r: r + d, i: b, side: "right" };
+    walls = walls.filter((w) => !(w.r === left.r && (w.i === left.i || w.i === right.i)));
+    walls = [...walls, left, right];
+  }
+  return { ...l, walls };
+}
+
+export function toggleBlockedBin(layout, rows, k) {
+  const l = base(layout, rows);
+  const has = l.blockedBins.includes(k);
+  const next = { ...l, blockedBins: has ? l.blockedBins.filter((b) => b !== k) : [...l.blockedBins, k] };
+  return compileLayout(next, rows).openSlots ? next : l;
+}
+
+/** Remove the divider between slot k and k + 1, or put it back if already merged. */
+export function toggleMerge(layout, rows, k) {
+  const l = base(layout, rows);
+  const joined = new Set();
+  l.mergedBins.forEach(([a, b]) => {
+    for (let j = a; j < b; j++) joined.add(j);
+  });
+  if (joined.has(k)) joined.delete(k);
+  else joined.add(k);
+  const mergedBins = [];
+  [...joined].sort((x, y) => x - y).forEach((j) => {
+    const last = mergedBins[mergedBins.length - 1];
+    if (last && last[1] === j) last[1] = j + 1;
+    else mergedBins.push([j, j + 1]);
+  });
+  return { ...l, mergedBins };
+}
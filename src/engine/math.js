@@ -0,0 +1,8 @@
+// clamp helper
+export const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+// right-step probability for a bias in [-0.5, 0.5]
+export const biasToPRight = (bias) => clamp(0.5 + bias, 0, 1);
+
+// quad easeInOut
+export const easeInOut = (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
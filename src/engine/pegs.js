@@ -0,0 +1,39 @@
+// Per-peg right-step probabilities. A peg map is an array of rows, row r
+// holding r + 1 probabilities (or null to fall back to the board bias).
+import { clamp } from "./math.js";
+import { isTriangle } from "./lattices.js";
+
+/** Resolve the right-step probability of peg i in row r. */
+export const pegProbability = (pegProbs, r, i, fallback) => pegProbs?.[r]?.[i] ?? fallback;
+
+/** A config's peg map, or null where it doesn't apply: maps are made for the triangle. */
+export const pegProbsFor = (config) => (isTriangle(config) ? config.pegProbs ?? null : null);
+
+/** Every peg at the same probability. */
+export function uniformPegs(rows, p) {
+  return Array.from({ length: rows }, (_, r) => Array(r + 1).fill(clamp(p, 0, 1)));
+}
+
+/** Row r interpolates linearly from `top` (first row) to `bottom` (last row). */
+export function rowGradient(rows, top, bottom) {
+  return Array.from({ length: rows }, (_, r) => {
+    const u = rows > 1 ? r / (rows - 1) : 0;
+    return Array(r + 1).fill(clamp(top + (bottom - top) * u, 0, 1));
+  });
+}
+
+/** Pegs left of the centre line use `left`, right of it `right`; centre pegs average them. */
+export function halfSplit(rows, left, right) {
+  return Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: r + 1 }, (_, i) => {
+      const side = Math.sign(i - r / 2);
+      return clamp(side < 0 ? left : side > 0 ? right : (left + right) / 2, 0, 1);
+    })
+  );
+}
+
+/** Copy of `pegProbs` with one peg changed; a missing map starts from `fallback` everywhere. */
+export function setPeg(pegProbs, rows, r, i, p, fallback) {
+  const base = pegProbs ?? uniformPegs(rows, fallback);
+  return base.map((row, rr) => (rr === r ? row.map((v, ii) => (ii === i ? clamp(p, 0, 1) : v)) : row));
+}
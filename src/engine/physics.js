@@ -0,0 +1,244 @@
+// Rigid-body physics model: balls collide with pegs, walls, bin dividers and
+// each other. Nothing is random after the drop, so the bin distribution comes
+// out of the collisions alone.
+import { wallSegment } from "./geometry.js";
+import { G } from "./balls.js";
+
+export const PHYSICS_DEFAULTS = { restitution: 0.3, friction: 0.2 };
+
+const SUBSTEPS = 4; // per engine tick
+const DRAG = 4; // 1/s; stands in for rolling on an inclined board, caps speed near G / DRAG
+const CELL = 8; // spatial hash cell, >= ball diameter
+const SLEEP_SPEED = 12; // board units / s
+const SLEEP_TIME = 0.25; // s below SLEEP_SPEED before a ball in a bin rests
+const STUCK_TIME = 0.75; // s below SLEEP_SPEED above the bins before a nudge
+
+/** A physically simulated ball. `landed` once it has dropped into a bin; `asleep` once it rests there. */
+export class PBall {
+  constructor(x, y, r) {
+    this.x = x; this.y = y; this.vx = 0; this.vy = 0; this.r = r;
+    this.slow = 0; this.landed = false; this.asleep = false; this.done = false;
+    this.slot = -1; this.rng = null; this.source = 0;
+  }
+}
+
+// static colliders for the board: peg circles and line segments
+function buildStatics(geom, lattice) {
+  const circles = [];
+  geom.pegRows.forEach((row, r) => row.forEach((p, i) => {
+    if (lattice.hasPeg(r, i)) circles.push({ x: p.x, y: p.y, r: geom.pegRadius });
+  }));
+
+  const segs = [];
+  const seg = (x1, y1, x2, y2) => segs.push({ x1, y1, x2, y2 });
+  geom.pegRows.forEach((row, r) => row.forEach((_, i) => {
+    const side = lattice.hasPeg(r, i) ? lattice.wallAt(r, i) : null;
+    if (side) {
+      const w = wallSegment(geom, r, i, side);
+      seg(w.x1, w.y1, w.x2, w.y2);
+    }
+  }));
+  const top = geom.boardTop - geom.spacing * 2;
+  seg(geom.leftWall, top, geom.leftWall, geom.binBase);
+  seg(geom.rightWall, top, geom.rightWall, geom.binBase);
+  seg(geom.leftWall, geom.binBase, geom.rightWall, geom.binBase);
+  const half = geom.binWidth / 2;
+  lattice.groups.slice(0, -1).forEach((grp) => {
+    const x = geom.binCenters[grp[grp.length - 1]] + half;
+    seg(x, geom.boardBottom, x, geom.binBase);
+  });
+  lattice.blockedSlots.forEach((k) => seg(geom.binCenters[k] - half, geom.boardBottom, geom.binCenters[k] + half, geom.boardBottom));
+  return { circles, segs };
+}
+
+/**
+ * Physics world for one board. Integrates with semi-implicit Euler in fixed
+ * substeps and finds ball/ball and ball/peg contacts through a uniform grid.
+ */
+export function createWorld({ geom, lattice, rng }) {
+  const params = { ...PHYSICS_DEFAULTS, gx: 0 };
+  const { circles, segs } = buildStatics(geom, lattice);
+  let bodies = [];
+
+  const gw = Math.ceil(geom.width / CELL) + 2;
+  const gh = Math.ceil(geom.height / CELL) + 2;
+  const cellX = (x) => Math.max(0, Math.min(gw - 1, Math.floor(x / CELL) + 1));
+  const cellY = (y) => Math.max(0, Math.min(gh - 1, Math.floor(y / CELL) + 1));
+
+  // static grid: cell -> peg indices (built once)
+  const staticCells = Array.from({ length: gw * gh }, () => []);
+  circles.forEach((c, idx) => {
+    for (let cy = cellY(c.y - c.r - CELL); cy <= cellY(c.y + c.r + CELL); cy++)
+      for (let cx = cellX(c.x - c.r - CELL); cx <= cellX(c.x + c.r + CELL); cx++) staticCells[cy * gw + cx].push(idx);
+  });
+
+  // dynamic grid: counting sort of body indices by cell, rebuilt each substep
+  const counts = new Int32Array(gw * gh + 1);
+  let order = new Int32Array(0);
+  const bodyCell = [];
+
+  const rebuildGrid = () => {
+    counts.fill(0);
+    if (order.length < bodies.length) order = new Int32Array(bodies.length * 2);
+    bodies.forEach((b, i) => {
+      const c = cellY(b.y) * gw + cellX(b.x);
+      bodyCell[i] = c;
+      counts[c + 1] += 1;
+    });
+    for (let c = 1; c < counts.length; c++) counts[c] += counts[c - 1];
+    const fill = counts.slice(0, gw * gh);
+    bodies.forEach((_, i) => (order[fill[bodyCell[i]]++] = i));
+  };
+
+  // push `b` out of a static point contact along n with penetration pen
+  const resolveStatic = (b, nx, ny, pen) => {
+    b.x += nx * pen;
+    b.y += ny * pen;
+    const vn = b.vx * nx + b.vy * ny;
+    if (vn >= 0) return;
+    const tx = b.vx - vn * nx;
+    const ty = b.vy - vn * ny;
+    const tLen = Math.hypot(tx, ty);
+    const jn = -(1 + params.restitution) * vn;
+    const jt = tLen > 0 ? Math.min(params.friction * jn, tLen) / tLen : 0;
+    b.vx += jn * nx - jt * tx;
+    b.vy += jn * ny - jt * ty;
+  };
+
+  const collideStatics = (b) => {
+    for (const idx of staticCells[cellY(b.y) * gw + cellX(b.x)]) {
+      const c = circles[idx];
+      const dx = b.x - c.x;
+      const dy = b.y - c.y;
+      const rr = b.r + c.r;
+      const d2 = dx * dx + dy * dy;
+      if (d2 >= rr * rr) continue;
+      const d = Math.sqrt(d2) || 1e-6;
+      resolveStatic(b, dx / d, dy / d, rr - d);
+    }
+    for (const s of segs) {
+      const ex = s.x2 - s.x1;
+      const ey = s.y2 - s.y1;
+      const len2 = ex * ex + ey * ey;
+      const u = len2 ? Math.max(0, Math.min(1, ((b.x - s.x1) * ex + (b.y - s.y1) * ey) / len2)) : 0;
+      const dx = b.x - (s.x1 + u * ex);
+      const dy = b.y - (s.y1 + u * ey);
+      const d2 = dx * dx + dy * dy;
+      if (d2 >= b.r * b.r) continue;
+      const d = Math.sqrt(d2) || 1e-6;
+      resolveStatic(b, dx / d, dy / d, b.r - d);
+    }
+  };
+
+  const collidePair = (a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const rr = a.r + b.r;
+    const d2 = dx * dx + dy * dy;
+    if (d2 >= rr * rr) return;
+    const d = Math.sqrt(d2) || 1e-6;
+    const nx = dx / d;
+    const ny = dy / d;
+    const pen = rr - d;
+    if (a.asleep) return resolveStatic(b, nx, ny, pen);
+    if (b.asleep) return resolveStatic(a, -nx, -ny, pen);
+    a.x -= nx * pen * 0.5; a.y -= ny * pen * 0.5;
+    b.x += nx * pen * 0.5; b.y += ny * pen * 0.5;
+    const vn = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+    if (vn >= 0) return;
+    const j = (-(1 + params.restitution) * vn) / 2;
+    a.vx -= j * nx; a.vy -= j * ny;
+    b.vx += j * nx; b.vy += j * ny;
+  };
+
+  const collideBodies = () => {
+    rebuildGrid();
+    bodies.forEach((a, i) => {
+      if (a.asleep) return;
+      const ax = cellX(a.x);
+      const ay = cellY(a.y);
+      for (let cy = Math.max(0, ay - 1); cy <= Math.min(gh - 1, ay + 1); cy++)
+        for (let cx = Math.max(0, ax - 1); cx <= Math.min(gw - 1, ax + 1); cx++) {
+          const c = cy * gw + cx;
+          for (let k = counts[c]; k < counts[c + 1]; k++) {
+            const j = order[k];
+            // each awake pair once; sleeping neighbours from the awake side
+            if (j === i || (j < i && !bodies[j].asleep)) continue;
+            collidePair(a, bodies[j]);
+          }
+        }
+    });
+  };
+
+  const slotAt = (x) => Math.max(0, Math.min(geom.binCount - 1, Math.round((x - geom.binCenters[0]) / geom.binWidth)));
+
+  /** Advance dt seconds. Returns balls that crossed into the bins during the step. */
+  function step(dt) {
+    const landed = [];
+    const h = dt / SUBSTEPS;
+    for (let s = 0; s < SUBSTEPS; s++) {
+      for (const b of bodies) {
+        if (b.asleep) continue;
+        const damp = 1 - DRAG * h;
+        b.vx = (b.vx + params.gx * h) * damp;
+        b.vy = (b.vy + G * h) * damp;
+        b.x += b.vx * h;
+        b.y += b.vy * h;
+      }
+      collideBodies();
+      for (const b of bodies) if (!b.asleep) collideStatics(b);
+    }
+
+    const keep = [];
+    for (const b of bodies) {
+      if (!b.landed && b.y > geom.boardBottom) {
+        b.landed = true;
+        b.slot = slotAt(b.x);
+        landed.push(b);
+      }
+      if (!b.asleep) {
+        b.slow = Math.hypot(b.vx, b.vy) < SLEEP_SPEED ? b.slow + dt : 0;
+        // at rest in a bin, or on top of a full one
+        if (b.slow > SLEEP_TIME && (b.landed || b.y + 2 * b.r > geom.boardBottom)) {
+          b.asleep = true;
+          b.vx = b.vy = 0;
+        } else if (!b.landed && b.slow > STUCK_TIME) {
+          // balanced on a peg or jammed: a tiny deterministic nudge
+          b.vx += (b.rng() - 0.5) * 40;
+          b.slow = 0;
+        }
+      }
+      // a full bin overflows: balls that come to rest above it are removed
+      if (b.asleep && b.y - b.r < geom.boardBottom) {
+        if (!b.landed) {
+          b.landed = true;
+          b.slot = slotAt(b.x);
+          landed.push(b);
+        }
+        continue;
+      }
+      keep.push(b);
+    }
+    bodies = keep;
+    return landed;
+  }
+
+  return {
+    step,
+    /** A new ball at (x, y); its nudges draw on `ballRng`, the world's rng by default. */
+    spawn(x, y, ballRng = rng) {
+      const b = new PBall(x, y, geom.ballRadius);
+      b.rng = ballRng;
+      bodies.push(b);
+      return b;
+    },
+    setParams(p) {
+      Object.assign(params, p);
+    },
+    clear() {
+      bodies = [];
+    },
+    /** Every body, including balls resting in the bins. */
+    getBodies: () => bodies,
+  };
+}
@@ -0,0 +1,157 @@
+// Deterministic recordings. A run depends only on the config the board
+// started from and on the inputs it received, each stamped with the
+// simulation tick it arrived at, so a recording is plain JSON:
+//
+//   {
+//     version: 2,
+//     config: { rows, bias, seed, ... },        // createBoard config at the start
+//     events: [{ tick, op, args }, ...],        // op: dropBalls | tallyDirect | reset | configure
+//     ticks: 5400,                              // length of the run
+//   }
+//
+// An input stamped with tick t arrived after t ticks had been simulated.
+import { createBoard, TICK } from "./board.js";
+import { parseLayout } from "./layout.js";
+
+export const RECORDING_VERSION = 2; // 2: per-ball random streams; version 1 runs would not replay the same
+const OPS = ["dropBalls", "tallyDirect", "reset", "configure"];
+
+const copy = (v) => JSON.parse(JSON.stringify(v));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Start a recorded run on a fresh board built from `config`. Use the returned
+ * `board` exactly like one from createBoard; `finish()` stops logging and
+ * returns the recording.
+ */
+export function recordBoard(config) {
+  const board = createBoard(config);
+  const start = copy(board.getConfig());
+  const events = [];
+  let recording = null;
+
+  const log = (op, args) => {
+    if (!recording) events.push({ tick: board.getTick(), op, args: copy(args) });
+  };
+
+  return {
+    board: {
+      ...board,
+      dropBalls(n, stagger = 0, source = null) {
+        log("dropBalls", source === null ? [n, stagger] : [n, stagger, source]);
+        board.dropBalls(n, stagger, source);
+      },
+      tallyDirect(n) {
+        log("tallyDirect", [n]);
+        board.tallyDirect(n);
+      },
+      reset() {
+        log("reset", []);
+        board.reset();
+      },
+      // only the fields that actually change are applied and logged, so the
+      // replay sees the same configure calls as the live board
+      configure(patch) {
+        const cur = board.getConfig();
+        const diff = Object.fromEntries(Object.entries(patch).filter(([k, v]) => !same(v, cur[k])));
+        if (!Object.keys(diff).length) return;
+        log("configure", [diff]);
+        board.configure(diff);
+      },
+    },
+    finish() {
+      if (!recording) recording = { version: RECORDING_VERSION, config: start, events, ticks: board.getTick() };
+      return recording;
+    },
+  };
+}
+
+const isTick = (v) => Number.isInteger(v) && v >= 0;
+
+/** Validate a parsed recording; throws with a readable message on bad input. */
+export function parseRecording(data) {
+  if (!data || typeof data !== "object") throw new Error("Recording must be a JSON object.");
+  if (data.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${JSON.stringify(data.version)}.`);
+  const { config, events, ticks } = data;
+  if (!config || typeof config !== "object" || !Number.isInteger(config.rows) || config.rows < 1) {
+    throw new Error("Recording needs a board `config` with integer `rows`.");
+  }
+  if (!isTick(ticks)) throw new Error("Recording needs a non-negative integer `ticks`.");
+  if (!Array.isArray(events)) throw new Error("Recording `events` must be an array.");
+  let prev = 0;
+  events.forEach((e) => {
+    if (!e || !isTick(e.tick) || e.tick < prev || e.tick > ticks || !OPS.includes(e.op) || !Array.isArray(e.args)) {
+      throw new Error(`Invalid recording event ${JSON.stringify(e)}.`);
+    }
+    prev = e.tick;
+  });
+  const layouts = [config.layout, ...events.filter((e) => e.op === "configure").map((e) => e.args[0]?.layout)];
+  layouts.forEach((l) => l && parseLayout(l));
+  return copy({ version: RECORDING_VERSION, config, events, ticks });
+}
+
+/**
+ * Replays a recording. The state at tick t is the board after t ticks with
+ * every input up to and including tick t applied. Seeking backwards rebuilds
+ * the board from the start, which is exact because the run is deterministic.
+ */
+export function createPlayer(recording) {
+  const { config, events, ticks } = recording;
+  let board;
+  let tick;
+  let next;
+  let acc = 0;
+
+  // apply inputs stamped with the current tick; true if any were
+  const applyDue = () => {
+    const from = next;
+    while (next < events.length && events[next].tick <= tick) {
+      const { op, args } = events[next++];
+      board[op](...copy(args));
+    }
+    return next > from;
+  };
+
+  const restart = () => {
+    board = createBoard(config);
+    tick = 0;
+    next = 0;
+    acc = 0;
+    applyDue();
+  };
+
+  // one tick forward; true if anything landed or an input was applied
+  const stepTick = () => {
+    const landed = board.step(TICK).length;
+    tick += 1;
+    return applyDue() || landed > 0;
+  };
+
+  restart();
+
+  return {
+    getBoard: () => board,
+    getTick: () => tick,
+    duration: ticks,
+    done: () => tick >= ticks,
+
+    /** Jump to tick t (clamped to the recording). */
+    seek(t) {
+      const target = Math.max(0, Math.min(ticks, Math.round(t)));
+      if (target < tick) restart();
+      while (tick < target) stepTick();
+      acc = 0;
+    },
+
+    /** Play dt seconds of the run. Returns true if the tallies may have changed. */
+    advance(dt) {
+      let changed = false;
+      acc += Math.max(0, dt);
+      while (acc >= TICK && tick < ticks) {
+        acc -= TICK;
+        changed = stepTick() || changed;
+      }
+      return changed;
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// Pseudo-random generators. Each keeps its state in RNG_WORDS consecutive
+// words of a Uint32Array, so the ball pool can hold one independent stream
+// per ball in a single typed array; createRng wraps one in a closure.
+//
+//   seed(state, offset, seed)  fill the state from a 32-bit seed
+//   next(state, offset)        advance and return a uint32
+
+export const RNG_WORDS = 4;
+const TWO_32 = 4294967296;
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// SplitMix32 finaliser: spreads any 32-bit input over all 32 output bits
+function mix32(x) {
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+/** Seed of ball `index`'s own stream under board seed `seed`. */
+export const streamSeed = (seed, index) => mix32(mix32(seed >>> 0) ^ Math.imul(index + 1, 0x9e3779b9));
+
+// (ah, al) * (bh, bl) + (ch, cl) mod 2^64, as [hi, lo]
+function mulAdd64(ah, al, bh, bl, ch, cl) {
+  const a0 = al & 0xffff;
+  const a1 = al >>> 16;
+  const b0 = bl & 0xffff;
+  const b1 = bl >>> 16;
+  const mid = a0 * b1 + a1 * b0;
+  const low = a0 * b0 + (mid % 0x10000) * 0x10000 + cl;
+  const carry = Math.floor(low / TWO_32);
+  const high = a1 * b1 + Math.floor(mid / 0x10000) + carry + Math.imul(ah, bl) + Math.imul(al, bh) + ch;
+  return [high >>> 0, low >>> 0];
+}
+
+// PCG32 (XSH RR): state in words 0-1, odd increment in words 2-3
+const PCG_MUL_HI = 0x5851f42d;
+const PCG_MUL_LO = 0x4c957f2d;
+function pcgStep(s, o) {
+  const [hi, lo] = mulAdd64(s[o], s[o + 1], PCG_MUL_HI, PCG_MUL_LO, s[o + 2], s[o + 3]);
+  s[o] = hi;
+  s[o + 1] = lo;
+}
+
+/** Seed PCG32 the reference way, pcg32_srandom(initstate, initseq), with 64-bit values as [hi, lo]. */
+function seedPcg32(s, o, [stateHi, stateLo], [seqHi, seqLo]) {
+  s[o] = 0;
+  s[o + 1] = 0;
+  s[o + 2] = ((seqHi << 1) | (seqLo >>> 31)) >>> 0;
+  s[o + 3] = ((seqLo << 1) | 1) >>> 0;
+  pcgStep(s, o);
+  const sumLo = s[o + 1] + stateLo;
+  s[o] = (s[o] + stateHi + Math.floor(sumLo / TWO_32)) >>> 0;
+  s[o + 1] = sumLo >>> 0;
+  pcgStep(s, o);
+}
+
+// a ring of browser-grade random words, refilled as it runs out
+let cryptoBuf = null;
+let cryptoAt = 0;
+function cryptoWord() {
+  if (!cryptoBuf || cryptoAt === cryptoBuf.length) {
+    cryptoBuf = crypto.getRandomValues(cryptoBuf ?? new Uint32Array(1024));
+    cryptoAt = 0;
+  }
+  return cryptoBuf[cryptoAt++];
+}
+
+export const GENERATORS = {
+  mulberry32: {
+    label: "Mulberry32",
+    seed(s, o, seed) {
+      s[o] = seed;
+    },
+    next(s, o) {
+      const a = (s[o] + 0x6d2b79f5) | 0;
+      s[o] = a;
+      let t = Math.imul(a ^ (a >>> 15), 1 | a);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return (t ^ (t >>> 14)) >>> 0;
+    },
+  },
+  xoshiro128ss: {
+    label: "xoshiro128**",
+    seed(s, o, seed) {
+      // SplitMix32 sequence; never all zero
+      let x = seed;
+      for (let k = 0; k < 4; k++) {
+        x = (x + 0x9e3779b9) | 0;
+        s[o + k] = mix32(x);
+      }
+      if (!(s[o] | s[o + 1] | s[o + 2] | s[o + 3])) s[o] = 1;
+    },
+    next(s, o) {
+      const result = Math.imul(rotl(Math.imul(s[o + 1], 5), 7), 9) >>> 0;
+      const t = s[o + 1] << 9;
+      s[o + 2] ^= s[o];
+      s[o + 3] ^= s[o + 1];
+      s[o + 1] ^= s[o + 2];
+      s[o] ^= s[o + 3];
+      s[o + 2] ^= t;
+      s[o + 3] = rotl(s[o + 3], 11);
+      return result;
+    },
+  },
+  pcg32: {
+    label: "PCG32",
+    seed(s, o, seed) {
+      // PCG's default stream (increment 1442695040888963407)
+      seedPcg32(s, o, [0, seed], [0x0a02bdbf, 0x7bb3c0a7]);
+    },
+    next(s, o) {
+      const hi = s[o];
+      const lo = s[o + 1];
+      pcgStep(s, o);
+      // ((state >> 18) ^ state) >> 27, rotated by the top five bits
+      const xh = (hi >>> 18) ^ hi;
+      const xl = ((lo >>> 18) | (hi << 14)) ^ lo;
+      const x = ((xl >>> 27) | (xh << 5)) >>> 0;
+      const rot = hi >>> 27;
+      return ((x >>> rot) | (x << ((32 - rot) & 31))) >>> 0;
+    },
+  },
+  crypto: {
+    label: "crypto.getRandomValues (unseeded)",
+    seed() {},
+    next: () => cryptoWord(),
+  },
+  lcg: {
+    label: "Bad LCG (for teaching)",
+    seed(s, o, seed) {
+      s[o] = seed & 0xff;
+    },
+    // x -> 5x + 1 mod 256: full period, but only 256 values and each one
+    // nearly fixed by the one before
+    next(s, o) {
+      s[o] = (5 * s[o] + 1) & 0xff;
+      return (s[o] << 24) >>> 0;
+    },
+  },
+};
+
+export const RNG_KINDS = Object.keys(GENERATORS);
+
+/** Whether the generator's stream can be reproduced from a seed. */
+export const isSeedable = (kind) => kind !== "crypto";
+
+/** A `() => [0, 1)` function over one stream of generator `kind`. */
+export function createRng(kind, seed) {
+  const g = GENERATORS[kind];
+  if (!g) throw new Error(`Unknown generator "${kind}".`);
+  const s = new Uint32Array(RNG_WORDS);
+  g.seed(s, 0, seed >>> 0);
+  return () => g.next(s, 0) / TWO_32;
+}
+
+/** Mulberry32 from `seed`; 0 is a seed like any other. */
+export const mulberry32 = (seed) => createRng("mulberry32", seed);
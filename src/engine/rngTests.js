@@ -0,0 +1,67 @@
+import { createRng, streamSeed } from "./rng.js";
+import { chiSquarePValue } from "./stats.js";
+import { normalCdf } from "./distributions.js";
+
+// Small statistical checks of uniform [0, 1) samples. Each returns
+// `{ stat, pValue }` plus what it measured; a tiny p-value (say < 0.01)
+// means the numbers don't look independent and uniform.
+
+const twoSided = (z) => 2 * (1 - normalCdf(Math.abs(z), 0, 1));
+
+/** Chi-square test of the counts in `bins` equal slices of [0, 1). */
+export function frequencyTest(xs, bins = 10) {
+  const counts = Array(bins).fill(0);
+  for (const x of xs) counts[Math.min(bins - 1, Math.floor(x * bins))] += 1;
+  const expected = xs.length / bins;
+  const stat = counts.reduce((s, o) => s + (o - expected) ** 2 / expected, 0);
+  return { counts, stat, pValue: chiSquarePValue(stat, bins - 1) };
+}
+
+/** Wald–Wolfowitz runs test on above / below 0.5: too few runs means clumping, too many means alternation. */
+export function runsTest(xs) {
+  let above = 0;
+  let runs = 0;
+  xs.forEach((x, k) => {
+    if (x >= 0.5) above += 1;
+    if (k === 0 || x >= 0.5 !== xs[k - 1] >= 0.5) runs += 1;
+  });
+  const below = xs.length - above;
+  const n = xs.length;
+  const expected = (2 * above * below) / n + 1;
+  const variance = ((expected - 1) * (expected - 2)) / (n - 1);
+  const stat = variance > 0 ? (runs - expected) / Math.sqrt(variance) : NaN;
+  return { runs, expected, stat, pValue: variance > 0 ? twoSided(stat) : 0 };
+}
+
+/** Correlation between each number and the next; z = r·√n is about standard normal for independent draws. */
+export function serialCorrelationTest(xs) {
+  const n = xs.length - 1;
+  let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let k = 0; k < n; k++) {
+    const x = xs[k];
+    const y = xs[k + 1];
+    sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+  }
+  const r = (n * sxy - sx * sy) / Math.sqrt((n * sxx - sx * sx) * (n * syy - sy * sy));
+  const stat = r * Math.sqrt(n);
+  return { r, stat, pValue: twoSided(stat) };
+}
+
+/**
+ * Run the three tests on the numbers generator `kind` feeds a board: the
+ * first `perBall` draws of each of `balls` per-ball streams under `seed`,
+ * one stream after another (see streamSeed).
+ */
+export function rngDiagnostics(kind, seed, { balls = 2000, perBall = 12 } = {}) {
+  const xs = [];
+  for (let id = 0; id < balls; id++) {
+    const rng = createRng(kind, streamSeed(seed, id));
+    for (let k = 0; k < perBall; k++) xs.push(rng());
+  }
+  return {
+    n: xs.length,
+    frequency: frequencyTest(xs),
+    runs: runsTest(xs),
+    serial: serialCorrelationTest(xs),
+  };
+}
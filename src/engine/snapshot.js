@@ -0,0 +1,43 @@
+// A board's state as plain data, for handing across a worker boundary, and a
+// read-only board built back from it for the exporters.
+import { createGeometry } from "./geometry.js";
+import { compileBoard, layoutFor } from "./layout.js";
+import { exactPmf } from "./exact.js";
+import { resolveSources } from "./sources.js";
+
+const disc = ({ x, y, r, source }) => ({ x, y, r, source });
+
+/** Structured-clonable copy of what getConfig, getTallies, getSourceTallies, getLandings, getBalls and getPile return. */
+export function snapshotBoard(board) {
+  return {
+    config: board.getConfig(),
+    tallies: board.getTallies(),
+    sourceTallies: board.getSourceTallies(),
+    landings: board.getLandings(),
+    balls: board.getBalls().map(disc),
+    pile: board.getPile().map(disc),
+    time: board.getTime(),
+    tick: board.getTick(),
+  };
+}
+
+/** The read-only half of the board API over a snapshot; nothing moves. */
+export function frozenBoard(snapshot) {
+  const { config } = snapshot;
+  const geom = createGeometry(config.rows, config.board);
+  const compiled = compileBoard(config);
+  return {
+    getConfig: () => ({ ...config }),
+    getTallies: () => snapshot.tallies.slice(),
+    getSourceTallies: () => snapshot.sourceTallies.map((t) => t.slice()),
+    getSources: () => resolveSources(config, compiled.lattice),
+    getLandings: () => snapshot.landings.slice(),
+    getPmf: () => exactPmf({ ...config, layout: layoutFor(config) }),
+    getBalls: () => snapshot.balls,
+    getPile: () => snapshot.pile,
+    getGeometry: () => geom,
+    getLayout: () => compiled,
+    getTime: () => snapshot.time,
+    getTick: () => snapshot.tick,
+  };
+}
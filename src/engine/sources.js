@@ -0,0 +1,56 @@
+// Drop sources: several entry points across the top of the board, each with
+// its own position, drop rate, bias and ball colour. A config's `sources` is
+// null for the usual single funnel at the centre, or a list like
+//
+//   [{ column: -4, rate: 2, bias: 0, color: "#0ea5e9" }, ...]
+//
+// `column` is in the half-spacing columns of layout.js and `rate` is in balls
+// per second: while the board runs, each source drops its own balls on its
+// own schedule (see autoDrop in simCore.js). A batch dropped by hand is split
+// between the sources in proportion to their rates instead, each ball picking
+// its source with the first number of its own stream. Either way the bins
+// fill as the mixture sum_s w_s · P_s(bin) of the sources' own
+// distributions, w_s = rate_s / total rate.
+import { biasToPRight, clamp } from "./math.js";
+
+export const MAX_SOURCES = 4;
+export const SOURCE_COLORS = ["#0ea5e9", "#f97316", "#22c55e", "#a855f7"];
+
+// balls per second of a new source: the default drop interval's one ball every 500 ms
+export const DEFAULT_RATE = 2;
+
+/** A source at `column` with the `index`-th colour, dropping DEFAULT_RATE balls a second. */
+export const newSource = (column = 0, index = 0, bias = 0) => ({ column, rate: DEFAULT_RATE, bias, color: SOURCE_COLORS[index % SOURCE_COLORS.length] });
+
+/** Two sources `apart` columns either side of the centre: a bimodal board. */
+export const splitSources = (apart, bias = 0) => [newSource(-apart, 0, bias), newSource(apart, 1, bias)];
+
+/**
+ * A config's sources on `lattice` (see lattices.js), each as `{ column,
+ * rate, weight, pRight, color }`: the column clamped onto the board, its
+ * balls per second, the fraction of all balls that rate makes and its
+ * right-step probability. Without `sources`, the one centred source with
+ * the board's bias.
+ */
+export function resolveSources(config, lattice) {
+  const list = config.sources?.length ? config.sources.slice(0, MAX_SOURCES) : [newSource(0, 0, config.bias ?? 0)];
+  const rates = list.map((s) => Math.max(0, s.rate ?? DEFAULT_RATE));
+  const total = rates.reduce((sum, r) => sum + r, 0);
+  return list.map((s, k) => ({
+    column: clamp(Math.round(s.column ?? 0), -lattice.span, lattice.span),
+    rate: rates[k],
+    weight: total > 0 ? rates[k] / total : 1 / list.length,
+    pRight: biasToPRight(s.bias ?? config.bias ?? 0),
+    color: s.color ?? SOURCE_COLORS[k % SOURCE_COLORS.length],
+  }));
+}
+
+/** Which of `sources` a uniform draw `u` in [0, 1) picks, by weight. */
+export function pickSource(sources, u) {
+  let acc = 0;
+  for (let k = 0; k < sources.length - 1; k++) {
+    acc += sources[k].weight;
+    if (u < acc) return k;
+  }
+  return sources.length - 1;
+}
@@ -0,0 +1,121 @@
+// Sample statistics and goodness-of-fit tests for bin tallies.
+import { logGamma } from "./distributions.js";
+
+/** Mean, variance, skewness and excess kurtosis of a distribution over bins 0..n-1. */
+export function pmfMoments(pmf) {
+  const total = pmf.reduce((a, b) => a + b, 0);
+  if (!total) return { mean: NaN, variance: NaN, skewness: NaN, kurtosis: NaN };
+  let mean = 0;
+  pmf.forEach((w, k) => (mean += (w / total) * k));
+  let m2 = 0, m3 = 0, m4 = 0;
+  pmf.forEach((w, k) => {
+    const d = k - mean;
+    const q = w / total;
+    m2 += q * d * d;
+    m3 += q * d * d * d;
+    m4 += q * d * d * d * d;
+  });
+  return {
+    mean,
+    variance: m2,
+    skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : NaN,
+    kurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : NaN,
+  };
+}
+
+/**
+ * Moments of observed tallies. Same as pmfMoments, except the variance uses
+ * the n - 1 (unbiased) denominator.
+ */
+export function sampleMoments(tallies) {
+  const n = tallies.reduce((a, b) => a + b, 0);
+  const m = pmfMoments(tallies);
+  return { n, ...m, variance: n > 1 ? (m.variance * n) / (n - 1) : NaN };
+}
+
+// regularized upper incomplete gamma Q(a, x)
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    // series for P(a, x)
+    let ap = a, sum = 1 / a, del = sum;
+    for (let i = 0; i < 500; i++) {
+      del *= x / ++ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  // continued fraction for Q(a, x)
+  let b = x + 1 - a, c = 1 / 1e-300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+/** Upper tail P(X >= x) of a chi-square distribution with df degrees of freedom. */
+export function chiSquarePValue(x, df) {
+  return df > 0 ? gammaQ(df / 2, x / 2) : NaN;
+}
+
+/**
+ * Pearson chi-square test of tallies against a pmf. Adjacent bins are pooled
+ * left to right until each group expects at least `minExpected` balls; a
+ * short group left over at the right end is folded into the one before it.
+ */
+export function chiSquareTest(tallies, pmf, minExpected = 5) {
+  const n = tallies.reduce((a, b) => a + b, 0);
+  if (!n) return { stat: NaN, df: 0, pValue: NaN, groups: [] };
+
+  // pool left to right, then fold a short final group into its neighbour
+  const groups = [];
+  let cur = null;
+  tallies.forEach((obs, k) => {
+    if (!cur) cur = { from: k, to: k, observed: 0, expected: 0 };
+    cur.to = k;
+    cur.observed += obs;
+    cur.expected += n * pmf[k];
+    if (cur.expected >= minExpected) {
+      groups.push(cur);
+      cur = null;
+    }
+  });
+  if (cur) {
+    const prev = groups.pop();
+    groups.push(prev ? { from: prev.from, to: cur.to, observed: prev.observed + cur.observed, expected: prev.expected + cur.expected } : cur);
+  }
+
+  let stat = 0;
+  for (const g of groups) if (g.expected > 0) stat += (g.observed - g.expected) ** 2 / g.expected;
+  const df = groups.length - 1;
+  return { stat, df, pValue: chiSquarePValue(stat, df), groups };
+}
+
+/** Total variation distance between the empirical distribution and a pmf. */
+export function totalVariation(tallies, pmf) {
+  const n = tallies.reduce((a, b) => a + b, 0);
+  if (!n) return NaN;
+  return 0.5 * tallies.reduce((s, v, k) => s + Math.abs(v / n - pmf[k]), 0);
+}
+
+/** KL divergence D(empirical || pmf) in nats; Infinity if a ball hit a zero-probability bin. */
+export function klDivergence(tallies, pmf) {
+  const n = tallies.reduce((a, b) => a + b, 0);
+  if (!n) return NaN;
+  return tallies.reduce((s, v, k) => {
+    if (!v) return s;
+    const q = v / n;
+    return pmf[k] > 0 ? s + q * Math.log(q / pmf[k]) : Infinity;
+  }, 0);
+}
@@ -0,0 +1,69 @@
+// One ball moved by hand, a row per call, for step-through lessons. It obeys
+// the same rules as the animated balls (see layout.js) but doesn't touch any
+// board: it reports each decision so the page can explain it.
+import { biasToPRight } from "./math.js";
+import { pegProbability, pegProbsFor } from "./pegs.js";
+import { compileBoard, pegUnder, binForColumn } from "./layout.js";
+
+/**
+ * A ball at the top of a board with `config` ({ rows, board, bias, pegProbs,
+ * layout }). Each advance() returns what happened next, or null once the
+ * ball has landed:
+ *   { kind: "peg", row, peg, p, u, dir, probability }  a coin u against P(right) = p
+ *   { kind: "straight", row, peg, s, u, dir, probability }
+ *                                                      a three-way peg's coin u against P(straight) = s
+ *   { kind: "wall", row, peg, side, dir }              a wall sends it the other way
+ *   { kind: "gap", row }                               no peg under it; straight down
+ *   { kind: "land", bin, rights, probability }         into a bin after the last row
+ * `probability` is that of the exact path so far.
+ */
+export function createStepper(config, rng) {
+  const { rows, bias = 0 } = config;
+  const pegProbs = pegProbsFor(config);
+  const compiled = compileBoard(config);
+  const { straight } = compiled.lattice;
+  const fallback = biasToPRight(bias);
+  const path = [];
+  let col = 0;
+  let probability = 1;
+  let bin = null;
+
+  function advance() {
+    if (bin !== null) return null;
+    const row = path.length;
+    if (row === rows) {
+      bin = binForColumn(compiled, col, (p) => rng() < p);
+      return { kind: "land", bin, rights: path.filter((d) => d > 0).length, probability };
+    }
+    const peg = pegUnder(compiled, row, col);
+    let event;
+    if (!peg) {
+      event = { kind: "gap", row, dir: 0 };
+    } else if (peg.wall) {
+      event = { kind: "wall", row, peg: peg.i, side: peg.wall, dir: peg.wall === "left" ? 1 : -1 };
+    } else {
+      // a three-way peg first decides whether the ball goes on at all
+      const v = straight ? rng() : 1;
+      if (v < straight) {
+        probability *= straight;
+        event = { kind: "straight", row, peg: peg.i, s: straight, u: v, dir: 0, probability };
+      } else {
+        const p = pegProbability(pegProbs, row, peg.i, fallback);
+        const u = rng();
+        const dir = u < p ? 1 : -1;
+        probability *= (1 - straight) * (dir > 0 ? p : 1 - p);
+        event = { kind: "peg", row, peg: peg.i, p, u, dir, probability };
+      }
+    }
+    path.push(event.dir);
+    col += event.dir;
+    return event;
+  }
+
+  return {
+    advance,
+    getPath: () => path.slice(),
+    getBin: () => bin,
+    done: () => bin !== null,
+  };
+}
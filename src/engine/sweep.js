@@ -0,0 +1,132 @@
+// Parameter sweeps: every combination of ranges of rows, bias and ball
+// count, each run headlessly on a plain board and summarized against theory.
+//
+// A run's balls flip the same coins as the animated balls of a board with
+// the run's seed: ball i draws from its own stream, streamSeed(seed, i), and
+// goes right at a row when the draw is below P(right). So any run can be
+// checked by setting the board up with its parameters and seed.
+import { biasToPRight } from "./math.js";
+import { exactPmf } from "./exact.js";
+import { pmfMoments, sampleMoments, chiSquareTest, totalVariation } from "./stats.js";
+import { GENERATORS, RNG_WORDS, streamSeed } from "./rng.js";
+
+export const SWEEP_MAX_RUNS = 500;
+const CHUNK_DRAWS = 2e6; // coin flips between yields to the UI
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * The values of a range `{ from, to, step }`, ends included; with
+ * `geometric` each value is `step` times the last (ball counts, say).
+ * Values are rounded to `decimals` so 0.1 steps don't drift, and each step
+ * moves at least one unit of the last decimal so no two round the same.
+ */
+export function rangeValues({ from, to, step, geometric = false }, decimals = 6) {
+  const lo = Math.min(from, to);
+  const hi = Math.max(from, to);
+  const grows = geometric ? step > 1 && lo > 0 : step > 0;
+  if (!grows) return [Number(lo.toFixed(decimals))];
+  const unit = 10 ** -decimals;
+  const out = [];
+  for (let v = lo; v <= hi * (1 + 1e-9) + 1e-9 && out.length <= SWEEP_MAX_RUNS; v = Math.max(geometric ? v * step : v + step, v + unit)) {
+    const value = Number(v.toFixed(decimals)) || 0; // no -0 from rounding
+    if (value !== out.at(-1)) out.push(value);
+  }
+  return out;
+}
+
+// the values each parameter takes
+const sweepAxes = (ranges) => [rangeValues(ranges.rows, 0), rangeValues(ranges.bias, 2), rangeValues(ranges.balls, 0)];
+
+/** How many combinations the three ranges make, before the run cap. */
+export function sweepSize(ranges) {
+  return sweepAxes(ranges).reduce((n, values) => n * values.length, 1);
+}
+
+/**
+ * The first `limit` `{ rows, bias, balls }` of the three ranges, rows
+ * varying slowest. Lazy, so a huge grid costs no more than its first cells.
+ */
+export function* sweepGrid(ranges, limit = SWEEP_MAX_RUNS) {
+  const [rows, bias, balls] = sweepAxes(ranges);
+  const total = Math.min(rows.length * bias.length * balls.length, limit);
+  for (let k = 0; k < total; k++) {
+    const j = Math.floor(k / balls.length);
+    yield { rows: rows[Math.floor(j / bias.length)], bias: bias[j % bias.length], balls: balls[k % balls.length] };
+  }
+}
+
+/**
+ * Add balls `from` .. `from + count - 1` of a plain board to `tallies`,
+ * each from its own stream of generator `rng` under `seed`.
+ */
+export function tallyBalls({ rows, bias, seed, rng }, from, count, tallies) {
+  const gen = GENERATORS[rng];
+  const p = biasToPRight(bias);
+  const state = new Uint32Array(RNG_WORDS);
+  for (let id = from; id < from + count; id++) {
+    gen.seed(state, 0, streamSeed(seed, id));
+    let rights = 0;
+    for (let r = 0; r < rows; r++) if (gen.next(state, 0) / 2 ** 32 < p) rights += 1;
+    tallies[rights] += 1;
+  }
+  return tallies;
+}
+
+// one run's tallies against the exact distribution
+function summarize(run, tallies) {
+  const pmf = exactPmf({ rows: run.rows, bias: run.bias });
+  const theory = pmfMoments(pmf);
+  const sample = sampleMoments(tallies);
+  const fit = chiSquareTest(tallies, pmf);
+  return {
+    ...run,
+    pRight: biasToPRight(run.bias),
+    mean: sample.mean,
+    theoryMean: theory.mean,
+    variance: sample.variance,
+    theoryVariance: theory.variance,
+    chiSquare: fit.stat,
+    df: fit.df,
+    pValue: fit.pValue,
+    tvd: totalVariation(tallies, pmf),
+    tallies,
+  };
+}
+
+/**
+ * Run the first SWEEP_MAX_RUNS combinations of `ranges` (see sweepGrid), run
+ * k under the seed streamSeed(seed, k) so runs are independent but
+ * repeatable. Yields to the event loop every so often; `onProgress(done, total)` counts runs and
+ * `onResult(result)` gets each run's summary as it finishes. Resolves with
+ * the summaries, cut short if `signal` was aborted:
+ *
+ *   { rows, bias, balls, seed, pRight, mean, theoryMean, variance,
+ *     theoryVariance, chiSquare, df, pValue, tvd, tallies }
+ */
+export async function runSweep(ranges, { seed, rng = "mulberry32", signal, onProgress, onResult } = {}) {
+  const total = Math.min(sweepSize(ranges), SWEEP_MAX_RUNS);
+  const results = [];
+  let draws = 0;
+  let k = 0;
+  for (const cell of sweepGrid(ranges)) {
+    const run = { ...cell, seed: streamSeed(seed, k) };
+    const tallies = Array(run.rows + 1).fill(0);
+    const chunk = Math.max(1, Math.floor(CHUNK_DRAWS / run.rows));
+    for (let done = 0; done < run.balls; done += chunk) {
+      if (signal?.aborted) return results;
+      tallyBalls({ ...run, rng }, done, Math.min(chunk, run.balls - done), tallies);
+      draws += Math.min(chunk, run.balls - done) * run.rows;
+      if (draws >= CHUNK_DRAWS) {
+        draws = 0;
+        await nextTask();
+      }
+    }
+    const result = summarize(run, tallies);
+    results.push(result);
+    onResult?.(result);
+    k += 1;
+    onProgress?.(k, total);
+  }
+  return results;
+}
@@ -0,0 +1,26 @@
+// Compute-only "turbo" runs: tally millions of balls without animating them.
+
+export const TURBO_MAX = 1e7;
+const DEFAULT_CHUNK = 250000;
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Tally `n` balls on `board` in chunks, yielding to the event loop between
+ * chunks so the UI stays responsive. `board.tallyDirect` may return a
+ * promise; the next chunk waits for it. Resolves with the number of balls tallied
+ * (fewer than `n` if `signal` was aborted).
+ */
+export async function runTurbo(board, n, { chunkSize = DEFAULT_CHUNK, onProgress, signal } = {}) {
+  const total = Math.min(Math.max(0, Math.floor(n)), TURBO_MAX);
+  let done = 0;
+  while (done < total) {
+    if (signal?.aborted) break;
+    const k = Math.min(chunkSize, total - done);
+    await board.tallyDirect(k); // a board in a worker answers asynchronously
+    done += k;
+    onProgress?.(done, total);
+    if (done < total) await nextTask();
+  }
+  return done;
+}
@@ -0,0 +1,141 @@
+// Image exports: the board as a PNG at any resolution or as SVG, the histogram
+// chart as SVG, and both side by side as one figure captioned with the run's
+// parameters.
+import { biasToPRight, GENERATORS, BOARD_TYPES, isTriangle, pegProbsFor } from "./engine/index.js";
+import { drawPegs, drawWalls, drawBins, drawBalls, drawBinLabels, sourceColors } from "./boardCanvas.js";
+import { drawStacks } from "./stackLayer.js";
+import { createSvgContext, svgDocument, escapeXml } from "./svgContext.js";
+
+const BACKGROUND = "#f8fafc";
+const FONT = "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif";
+const CHART_SCALE = 1.6; // the sidebar chart is small next to the board
+const GAP = 24;
+const CAPTION_H = 44;
+
+// the whole board in board units, onto a canvas context or an SVG recorder
+function drawBoard(ctx, board) {
+  const g = board.getGeometry();
+  const lattice = board.getLayout();
+  const tallies = board.getTallies();
+  const { motion } = board.getConfig();
+  const pegProbs = pegProbsFor(board.getConfig());
+  const colors = sourceColors(board);
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, g.width, g.height);
+  drawBins(ctx, g, lattice);
+  drawWalls(ctx, g, lattice);
+  drawPegs(ctx, g, { pegProbs, lattice });
+  if (motion === "physics") drawBalls(ctx, board.getPile(), colors);
+  else drawStacks(ctx, g, lattice, tallies, colors && { tallies: board.getSourceTallies(), colors });
+  drawBalls(ctx, board.getBalls(), colors);
+  drawBinLabels(ctx, g, lattice, tallies);
+}
+
+const canvasBlob = (canvas) => new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+
+/** The board as a PNG, `scale` pixels per board unit. */
+export function boardPng(board, scale) {
+  const g = board.getGeometry();
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(g.width * scale);
+  canvas.height = Math.round(g.height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
+  drawBoard(ctx, board);
+  return canvasBlob(canvas);
+}
+
+function boardMarkup(board) {
+  const ctx = createSvgContext();
+  drawBoard(ctx, board);
+  return ctx.markup();
+}
+
+/** The board redrawn as vectors. */
+export function boardSvg(board) {
+  const g = board.getGeometry();
+  return svgDocument(g.width, g.height, boardMarkup(board));
+}
+
+const chartSize = (svgEl) => ({ width: parseFloat(svgEl.getAttribute("width")), height: parseFloat(svgEl.getAttribute("height")) });
+
+// a rendered Recharts <svg> as markup that can be nested at (x, y), scaled
+function chartMarkup(svgEl, x, y, scale) {
+  const { width, height } = chartSize(svgEl);
+  const el = svgEl.cloneNode(true);
+  el.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  el.setAttribute("x", x);
+  el.setAttribute("y", y);
+  el.setAttribute("width", width * scale);
+  el.setAttribute("height", height * scale);
+  el.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  el.setAttribute("style", `font-family: ${FONT}`);
+  return new XMLSerializer().serializeToString(el);
+}
+
+/** The histogram chart (its rendered <svg> element) as a standalone SVG. */
+export function chartSvg(svgEl) {
+  const { width, height } = chartSize(svgEl);
+  return svgDocument(width, height, `<rect width="100%" height="100%" fill="#fff"/>\n${chartMarkup(svgEl, 0, 0, 1)}`);
+}
+
+// board types other than the triangle, from the compiled lattice
+const boardLabel = (lattice) =>
+  lattice.type === "threeWay" ? `${BOARD_TYPES.threeWay.toLowerCase()} (straight ${Math.round(lattice.straight * 100)}%)`
+    : `${BOARD_TYPES.rectangle.toLowerCase()}, ${lattice.binCount} bins`;
+
+/** One-line description of the run for figure captions. */
+export function figureCaption(board) {
+  const cfg = board.getConfig();
+  const total = board.getTallies().reduce((a, b) => a + b, 0);
+  const parts = [
+    `${cfg.rows} rows`,
+    isTriangle(cfg) ? null : boardLabel(board.getLayout().lattice),
+    pegProbsFor(cfg) ? "per-peg probabilities" : `P(right) ${(biasToPRight(cfg.bias) * 100).toFixed(1)}%`,
+    board.getLayout().isDefault ? null : "custom layout",
+    `${cfg.motion} model`,
+    `seed ${cfg.seed}`,
+    cfg.rng === "mulberry32" ? null : GENERATORS[cfg.rng].label,
+    `${total.toLocaleString("en-US")} balls`,
+  ];
+  return `Galton board: ${parts.filter(Boolean).join(" · ")}`;
+}
+
+function figure(board, svgEl, caption) {
+  const g = board.getGeometry();
+  const chart = chartSize(svgEl);
+  const cw = chart.width * CHART_SCALE;
+  const ch = chart.height * CHART_SCALE;
+  const width = g.width + GAP + cw + GAP;
+  const height = Math.max(g.height, ch) + CAPTION_H;
+  const body = [
+    `<rect width="100%" height="100%" fill="#fff"/>`,
+    boardMarkup(board),
+    chartMarkup(svgEl, g.width + GAP, (g.height - ch) / 2, CHART_SCALE),
+    `<text x="${GAP}" y="${height - CAPTION_H / 2 + 5}" fill="#0f172a" style="font: 14px ${FONT}">${escapeXml(caption)}</text>`,
+  ].join("\n");
+  return { width, height, svg: svgDocument(width, height, body) };
+}
+
+/** Board and histogram side by side with a caption, as SVG. */
+export function figureSvg(board, svgEl, caption = figureCaption(board)) {
+  return figure(board, svgEl, caption).svg;
+}
+
+/** Board and histogram side by side with a caption, as a PNG at `scale`. */
+export async function figurePng(board, svgEl, scale, caption = figureCaption(board)) {
+  const { width, height, svg } = figure(board, svgEl, caption);
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvasBlob(canvas);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
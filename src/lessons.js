@@ -0,0 +1,31 @@
+// The guided lesson: short steps, each with a board to set up. `preset` sets
+// rows and bias, drops `balls` on a cleared board and picks what the pegs
+// and bins are labelled with (see the "numbers" overlay in simCore.js).
+
+export const LESSONS = [
+  {
+    title: "One ball, many choices",
+    text: "At every peg the ball goes left or right. Use \"Step through one ball\" below to move a ball one row at a time and read why it went where it did.",
+    preset: { rows: 5, bias: 0, balls: 0, numbers: "paths" },
+  },
+  {
+    title: "Counting paths: Pascal's triangle",
+    text: "The number over each peg counts the different routes that reach it. Each is the sum of the two numbers above it, so the board is Pascal's triangle and the bins get the binomial coefficients C(rows, k).",
+    preset: { rows: 8, bias: 0, balls: 256, numbers: "paths" },
+  },
+  {
+    title: "From counts to probabilities",
+    text: "With a fair coin every complete path is equally likely, 1 in 2^rows. The chance of a bin is its path count over 2^rows: 70 / 256 ≈ 0.273 for the middle bin of 8 rows.",
+    preset: { rows: 8, bias: 0, balls: 1000, numbers: "probability" },
+  },
+  {
+    title: "The bell curve emerges",
+    text: "With zero bias the distribution approaches a binomial, and for many rows a normal curve, centered at rows / 2. Watch the histogram settle onto the theory curve as more balls drop.",
+    preset: { rows: 16, bias: 0, balls: 5000, numbers: null },
+  },
+  {
+    title: "A biased board",
+    text: "Tilting the odds to P(right) = 0.65 moves the peak to rows × 0.65. Paths still count the same, but they are no longer equally likely: the probabilities on the pegs lean right.",
+    preset: { rows: 12, bias: 0.15, balls: 2000, numbers: "probability" },
+  },
+];
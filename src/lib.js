@@ -0,0 +1,5 @@
+// Library entry for React apps: the board component, the custom element and
+// the headless engine. React is a peer; the app's own copy is used.
+export { default as GaltonBoard } from "./GaltonBoard.jsx";
+export { GaltonBoardElement, defineGaltonBoardElement } from "./GaltonBoardElement.js";
+export * from "./engine/index.js";
@@ -0,0 +1,344 @@
+// The running simulation and its canvas, wherever it runs: simWorker.js drives
+// it with an OffscreenCanvas, simHost.js with the page's canvas when workers
+// can't draw. Commands come in through handle(); everything the page needs
+// back goes out through `emit` as plain, structured-clonable messages.
+import { createBoard, recordBoard, createPlayer, snapshotBoard, pathProbability, resolveSources, TICK } from "./engine/index.js";
+import {
+  drawPegs, drawWalls, drawBins, drawBalls, drawBallPool, drawPegHeat, drawTrace, drawLatticeNumbers, latticePoint, sourceColors,
+} from "./boardCanvas.js";
+import { createStackLayer } from "./stackLayer.js";
+
+// tallies and the replay position reach the page at most this often
+export const SYNC_MS = 250;
+
+// sim seconds of one "advance one frame", and the most "advance one row" runs
+export const FRAME_S = 1 / 60;
+const MAX_ROW_S = 10;
+
+// rows above height y: how far down the board a ball there is
+const rowsAbove = (g, y) => {
+  let r = 0;
+  while (r < g.rowYs.length && g.rowYs[r] <= y) r += 1;
+  return r;
+};
+
+// how the "numbers" overlay writes path counts and probabilities
+const formatCount = (n) => (n >= 1e5 ? `${Math.round(n / 1000)}k` : String(Math.round(n * 2) / 2));
+const formatProb = (p) => (p === 0 ? "0" : p >= 0.001 ? p.toFixed(3).replace(/^0/, "") : "<.001");
+
+// what the histogram and stats show for a board
+const viewOf = (board) => ({
+  tallies: board.getTallies(),
+  sourceTallies: board.getSourceTallies(),
+  colors: sourceColors(board),
+  pmf: board.getPmf(),
+  labels: board.getLayout().binLabels,
+});
+
+/**
+ * Messages out:
+ *   { type: "tallies", tallies, sourceTallies, visits? }  live board, after it changes
+ *   { type: "replay", tick, playing, view?, visits? }     while replaying; view when it changed
+ *   { type: "trace", trace }                              the traced ball moved on a row or landed
+ *   { type: "landed", balls }                             `{ bin, path, source }` per ball landed this frame, while listened for
+ *   { type: "idle", tallies }                             the live board's last falling ball landed
+ *   { type: "reply", reqId, result }                      answer to a command sent with a reqId
+ * `sourceTallies` (board.getSourceTallies()) splits the tallies by drop source.
+ * `visits` (board.getVisits()) only comes while the heatmap overlay is on.
+ *
+ * The live board runs on its own clock: wall time scaled by the "clock"
+ * command's `scale`, frozen while it is `paused`, when "advance" moves it
+ * on by one frame (FRAME_S) or one row by hand. The "autoDrop" command's
+ * balls go out on that clock too: a batch every `every` sim seconds, or
+ * with drop sources set, each source's balls at its own rate.
+ */
+export function createSimCore({ canvas, config, emit }) {
+  const ctx = canvas.getContext("2d");
+  // landed balls; the physics model shows its real piles instead
+  const stacks = createStackLayer();
+  let board = createBoard(config);
+  let recorder = null;
+  let player = null;
+  let replay = null; // { playing, speed } while replaying
+  // tick the replay jumps to on the next frame: a drag along the scrubber
+  // sends a seek per step, and only the last one needs replaying to
+  let seekTo = null;
+  // scale: canvas pixels per board unit; numbers: null, "paths" or "probability";
+  // walkthrough: { path, bin } of the hand-stepped ball
+  let overlay = { pegProbs: null, selected: null, showRemoved: false, scale: 1, heatmap: false, numbers: null, walkthrough: null };
+  let traced = null; // { id, config, source, column, info } for the ball being followed; column: its drop point
+  let listen = { landed: false }; // per-ball messages the page wants
+  // the live board's clock: wall time times `scale`, standing still while
+  // `paused` except for the advance command
+  let clock = { paused: false, scale: 1 };
+  // { n, stagger, every, wait, waits } while balls drop by themselves: `wait`
+  // sim seconds to the next batch, `waits[k]` to drop source k's next ball
+  let autoDrop = null;
+  let busy = false; // balls falling or waiting on the live board
+  let last = null;
+  let dirty = true;
+  let lastSync = -Infinity;
+
+  // send on the next frame whatever the throttle says
+  const flush = () => {
+    dirty = true;
+    lastSync = -Infinity;
+  };
+
+  const shown = () => player?.getBoard() ?? board;
+
+  // what the page shows about the traced ball
+  const traceInfo = ({ id, config, source }, path, bin = null) => ({ id, path, probability: pathProbability(config, path, source), landed: bin !== null, bin });
+
+  const setTrace = (next) => {
+    traced = next;
+    emit({ type: "trace", trace: traced?.info ?? null });
+  };
+
+  // follow the traced ball: a new row, or its landing, updates the page
+  function updateTrace() {
+    if (!traced || traced.info.landed) return;
+    const b = shown();
+    const ball = b.getBall(traced.id);
+    if (ball) {
+      if (ball.path.length !== traced.info.path.length) setTrace({ ...traced, info: traceInfo(traced, ball.path) });
+      return;
+    }
+    const landing = b.getLandings().findLast((l) => l.id === traced.id);
+    setTrace(landing?.path ? { ...traced, info: traceInfo(traced, landing.path, landing.bin) } : null);
+  }
+
+  // what autoDrop drops over the next dt sim seconds: a batch every `every`,
+  // or with drop sources set, each source's balls at its own rate, spread
+  // out when several come due at once
+  function dropDue(dt) {
+    if (!board.getConfig().sources?.length) {
+      autoDrop.wait -= dt;
+      while (autoDrop.wait <= 0) {
+        board.dropBalls(autoDrop.n, autoDrop.stagger);
+        autoDrop.wait += autoDrop.every;
+      }
+      return;
+    }
+    board.getSources().forEach(({ rate }, k) => {
+      if (!(rate > 0)) return;
+      const every = Math.max(TICK, 1 / rate);
+      let wait = (autoDrop.waits[k] ?? 0) - dt;
+      let n = 0;
+      while (wait <= 0) {
+        n += 1;
+        wait += every;
+      }
+      autoDrop.waits[k] = wait;
+      if (n) board.dropBalls(n, every, k);
+    });
+  }
+
+  // advance the live board by dt sim seconds and tell the page what landed
+  function stepLive(dt) {
+    if (autoDrop) dropDue(dt);
+    const landed = board.step(dt);
+    if (landed.length) {
+      dirty = true;
+      if (listen.landed) emit({ type: "landed", balls: landed.map(({ bin, path, source }) => ({ bin, path, source })) });
+    }
+    const falling = board.inFlight() > 0;
+    if (busy && !falling) {
+      emit({ type: "idle", tallies: board.getTallies() });
+      flush();
+    }
+    busy = falling;
+  }
+
+  // tick by tick until every ball falling now is a row further down or has
+  // landed; balls dropped meanwhile don't count
+  function advanceRow() {
+    const g = board.getGeometry();
+    const behind = new Map(board.getBalls().map((b) => [b.id, rowsAbove(g, b.y)]));
+    for (let t = 0; t < MAX_ROW_S / TICK && behind.size; t++) {
+      stepLive(TICK);
+      const falling = new Map(board.getBalls().map((b) => [b.id, b.y]));
+      behind.forEach((row, id) => {
+        if (!falling.has(id) || rowsAbove(g, falling.get(id)) > row) behind.delete(id);
+      });
+    }
+  }
+
+  const commands = {
+    configure: ({ patch }) => {
+      const { rows } = board.getConfig();
+      board.configure(patch);
+      if (board.getConfig().rows !== rows) setTrace(null);
+      flush();
+    },
+    drop: ({ n, stagger }) => board.dropBalls(n, stagger),
+    // a batch of n now and then every `every` sim seconds, or each drop
+    // source's balls at its rate; null stops them
+    autoDrop: ({ drop }) => {
+      autoDrop = drop && { ...drop, every: Math.max(TICK, drop.every), wait: 0, waits: [] };
+    },
+    tally: ({ n }) => {
+      board.tallyDirect(n);
+      dirty = true;
+      return board.getTallies();
+    },
+    reset: () => {
+      board.reset();
+      busy = false; // cleared, not finished
+      setTrace(null);
+      flush();
+    },
+    overlay: ({ overlay: patch }) => {
+      overlay = { ...overlay, ...patch };
+      flush();
+    },
+    // start following the ball nearest (x, y), or stop if there is none
+    pick: ({ x, y }) => {
+      const b = shown();
+      const id = b.pickBall(x, y);
+      const ball = id === null ? null : b.getBall(id);
+      const column = ball && resolveSources(ball.config, b.getLayout().lattice)[ball.source].column;
+      const follow = ball && { id, config: ball.config, source: ball.source, column };
+      setTrace(follow && { ...follow, info: traceInfo(follow, ball.path) });
+      return traced?.info ?? null;
+    },
+    clearTrace: () => setTrace(null),
+    clock: ({ paused = clock.paused, scale = clock.scale }) => {
+      clock = { paused, scale };
+    },
+    // by hand, whatever the clock: one frame's worth of sim time, or a row
+    advance: ({ by }) => {
+      if (player) return;
+      if (by === "row") advanceRow();
+      else stepLive(FRAME_S);
+      updateTrace();
+      flush();
+    },
+    listen: (patch) => {
+      listen = { landed: !!patch.landed };
+    },
+    // recording swaps in a fresh, logging board
+    record: () => {
+      recorder = recordBoard(board.getConfig());
+      board = recorder.board;
+      busy = false;
+      setTrace(null);
+      flush();
+    },
+    stopRecording: () => {
+      const recording = recorder.finish();
+      recorder = null;
+      return recording;
+    },
+    // replay draws a player's board instead of the live one until exitReplay
+    replay: ({ recording }) => {
+      player = createPlayer(recording);
+      replay = { playing: true, speed: 1 };
+      seekTo = null;
+      setTrace(null);
+      flush();
+    },
+    replayControl: ({ playing = replay.playing, speed = replay.speed }) => {
+      if (playing && !replay.playing && (seekTo ?? player.getTick()) >= player.duration) seekTo = 0;
+      replay = { playing, speed };
+      flush();
+    },
+    seek: ({ tick }) => {
+      seekTo = tick;
+    },
+    exitReplay: () => {
+      player = null;
+      replay = null;
+      seekTo = null;
+      setTrace(null);
+      flush();
+    },
+    // exports describe whatever the board shows, replay included
+    snapshot: () => snapshotBoard(shown()),
+  };
+
+  function handle(msg) {
+    const result = commands[msg.type](msg);
+    if (msg.reqId != null) emit({ type: "reply", reqId: msg.reqId, result });
+  }
+
+  function sync(now) {
+    const visits = overlay.heatmap ? shown().getVisits() : undefined;
+    if (player) {
+      emit({ type: "replay", tick: player.getTick(), playing: replay.playing, view: dirty ? viewOf(player.getBoard()) : undefined, visits });
+    } else {
+      emit({ type: "tallies", tallies: board.getTallies(), sourceTallies: board.getSourceTallies(), visits });
+    }
+    dirty = false;
+    lastSync = now;
+  }
+
+  function draw() {
+    const b = shown();
+    const g = b.getGeometry();
+    const lattice = b.getLayout();
+    const { scale } = overlay;
+    const colors = sourceColors(b);
+    const w = Math.round(g.width * scale);
+    const h = Math.round(g.height * scale);
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    ctx.clearRect(0, 0, g.width, g.height);
+    drawBins(ctx, g, lattice);
+    drawWalls(ctx, g, lattice);
+    if (overlay.heatmap) drawPegHeat(ctx, g, lattice, b.getVisits().pegs);
+    drawPegs(ctx, g, { ...overlay, lattice });
+    if (b.getConfig().motion === "physics") drawBalls(ctx, b.getPile(), colors);
+    else stacks.draw(ctx, g, lattice, b.getTallies(), scale, colors && { tallies: b.getSourceTallies(), colors });
+    drawBallPool(ctx, b.getBallPool(), g.ballRadius, scale, colors);
+    drawBalls(ctx, b.getBodies(), colors);
+    if (overlay.numbers === "paths") drawLatticeNumbers(ctx, g, lattice, b.getPathCounts(), formatCount);
+    if (overlay.numbers === "probability") drawLatticeNumbers(ctx, g, lattice, b.getReachProbabilities(), formatProb);
+    if (traced) {
+      const { info } = traced;
+      const ball = info.landed ? null : b.getBall(traced.id);
+      drawTrace(ctx, g, info.path, ball ?? latticePoint(g, lattice, info.path, info.bin, traced.column), !!ball, traced.column);
+    }
+    const walk = overlay.walkthrough;
+    // a ball stepped on another board than this one isn't drawn
+    if (walk && walk.path.length <= g.rows && (walk.bin === null || walk.bin < lattice.binCount)) {
+      const tip = latticePoint(g, lattice, walk.path, walk.bin);
+      drawTrace(ctx, g, walk.path, tip, true);
+      drawBalls(ctx, [{ ...tip, r: g.ballRadius * 1.5 }]);
+    }
+  }
+
+  /** Advance by the time since the last frame and redraw; `now` in ms. */
+  function frame(now) {
+    const dt = last === null ? 0 : Math.min(0.033, (now - last) / 1000);
+    last = now;
+    if (player && seekTo !== null) {
+      player.seek(seekTo);
+      seekTo = null;
+      setTrace(null);
+      flush();
+    }
+    if (player) {
+      if (replay.playing) {
+        if (player.advance(dt * replay.speed)) dirty = true;
+        if (player.done()) {
+          replay = { ...replay, playing: false };
+          flush();
+        }
+      }
+    } else if (!clock.paused) {
+      stepLive(dt * clock.scale);
+    }
+    // visits change whenever balls pass a row, landed or not
+    const moving = player ? replay.playing : !clock.paused;
+    if (overlay.heatmap && moving && shown().getBallPool().count()) dirty = true;
+    updateTrace();
+    if ((dirty || replay?.playing) && now - lastSync >= SYNC_MS) sync(now);
+    draw();
+  }
+
+  return { handle, frame };
+}
@@ -0,0 +1,62 @@
+// Where the simulation runs: in a Web Worker drawing to an OffscreenCanvas
+// when the browser can, otherwise on the main thread. The page sends the same
+// commands and gets the same messages either way (see simCore.js).
+import { createSimCore } from "./simCore.js";
+
+const workerCanDraw = () =>
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  "transferControlToOffscreen" in HTMLCanvasElement.prototype;
+
+/**
+ * Start a simulation on `canvas` (which it takes over) with board `config`.
+ * `onMessage` gets every message of the core's except replies.
+ *
+ *   send(msg)              fire a command, e.g. { type: "drop", n: 10, stagger: 0.01 }
+ *   request(type, fields)  a command whose result comes back as a promise
+ *   dispose()              stop the loop (and the worker)
+ */
+export function createSimHost(canvas, config, onMessage) {
+  const pending = new Map();
+  let nextReq = 0;
+  const receive = (msg) => {
+    if (msg.type !== "reply") {
+      onMessage(msg);
+      return;
+    }
+    pending.get(msg.reqId)?.(msg.result);
+    pending.delete(msg.reqId);
+  };
+
+  let send;
+  let dispose;
+  const inWorker = workerCanDraw();
+  if (inWorker) {
+    const worker = new Worker(new URL("./simWorker.js", import.meta.url), { type: "module" });
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.onmessage = (e) => receive(e.data);
+    worker.postMessage({ type: "init", canvas: offscreen, config }, [offscreen]);
+    send = (msg) => worker.postMessage(msg);
+    dispose = () => worker.terminate();
+  } else {
+    const core = createSimCore({ canvas, config, emit: receive });
+    let rafId = 0;
+    const loop = (now) => {
+      core.frame(now);
+      rafId = requestAnimationFrame(loop);
+    };
+    rafId = requestAnimationFrame(loop);
+    send = (msg) => core.handle(msg);
+    dispose = () => cancelAnimationFrame(rafId);
+  }
+
+  const request = (type, fields = {}) =>
+    new Promise((resolve) => {
+      const reqId = nextReq++;
+      pending.set(reqId, resolve);
+      send({ ...fields, type, reqId });
+    });
+
+  return { inWorker, send, request, dispose };
+}
@@ -0,0 +1,23 @@
+// Worker entry: runs the simulation and draws it on the OffscreenCanvas the
+// page transfers in its "init" message; every later message is a command.
+import { createSimCore } from "./simCore.js";
+
+// dedicated workers get requestAnimationFrame in most browsers
+const nextFrame = typeof self.requestAnimationFrame === "function"
+  ? (f) => self.requestAnimationFrame(f)
+  : (f) => setTimeout(() => f(performance.now()), 1000 / 60);
+
+let core = null;
+
+self.onmessage = ({ data }) => {
+  if (data.type !== "init") {
+    core.handle(data);
+    return;
+  }
+  core = createSimCore({ canvas: data.canvas, config: data.config, emit: (msg) => self.postMessage(msg) });
+  const loop = (now) => {
+    core.frame(now);
+    nextFrame(loop);
+  };
+  nextFrame(loop);
+};
@@ -0,0 +1,132 @@
+// Landed balls stacked inside their bins, like a physical quincunx. The
+// stacks live on a cached offscreen canvas that only gets the newly landed
+// balls painted onto it, so the per-frame cost is one drawImage however many
+// balls have landed. With several drop sources each bin shows its balls by
+// source, bottom-up in source order, and is repainted whenever it changes.
+
+const BALL_COLOR = "#0284c7";
+
+const makeCanvas = (w, h) =>
+  typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(w, h) : Object.assign(document.createElement("canvas"), { width: w, height: h });
+
+// hex-packed positions inside one bin, bottom-up; at most `capacity` of them
+function binSlots(g, group) {
+  const d = g.ballRadius * 2;
+  const left = g.binCenters[group[0]] - g.binWidth / 2 + 1;
+  const right = g.binCenters[group[group.length - 1]] + g.binWidth / 2 - 1;
+  const width = right - left;
+  const even = Math.max(1, Math.floor(width / d));
+  const odd = even * d + d / 2 <= width ? even : Math.max(1, even - 1);
+  const layerH = d * 0.87;
+  const layers = Math.max(0, Math.floor((g.binBase - g.boardBottom - d) / layerH) + 1);
+  const slots = [];
+  for (let l = 0; l < layers; l++) {
+    const n = l % 2 ? odd : even;
+    const x0 = left + (width - (n - 1) * d) / 2;
+    const y = g.binBase - g.ballRadius - l * layerH;
+    for (let c = 0; c < n; c++) slots.push({ x: x0 + c * d, y });
+  }
+  return slots;
+}
+
+// overflow: a cap over the bin and the number of balls that don't fit
+function drawOverflow(ctx, g, lattice, tallies, slots) {
+  ctx.font = "10px ui-sans-serif, system-ui, -apple-system";
+  ctx.textAlign = "center";
+  lattice.groups.forEach((grp, k) => {
+    const extra = tallies[k] - slots[k].length;
+    if (extra <= 0) return;
+    const left = g.binCenters[grp[0]] - g.binWidth / 2;
+    const right = g.binCenters[grp[grp.length - 1]] + g.binWidth / 2;
+    ctx.fillStyle = "#ea580c";
+    ctx.fillRect(left + 1, g.boardBottom - 2, right - left - 2, 3);
+    ctx.fillText(`+${extra}`, (left + right) / 2, g.boardBottom - 5);
+  });
+}
+
+// balls in `slots` from `from` up to `to`, each in `colorOf(slot index)`
+function paintSlots(ctx, g, slots, from, to, colorOf) {
+  for (let j = from; j < to; j++) {
+    ctx.fillStyle = colorOf(j);
+    ctx.beginPath();
+    ctx.arc(slots[j].x, slots[j].y, g.ballRadius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// colour of the ball in slot j of bin k when `bySource` splits the bins by
+// source (see the file comment), else the one stack colour
+const slotColor = (bySource, k) => {
+  if (!bySource) return () => BALL_COLOR;
+  return (j) => {
+    let acc = 0;
+    for (const [s, t] of bySource.tallies.entries()) {
+      acc += t[k];
+      if (j < acc) return bySource.colors[s];
+    }
+    return BALL_COLOR;
+  };
+};
+
+/**
+ * Draw the stacks straight onto `ctx`, without the cache (for exports).
+ * `bySource`, `{ tallies, colors }` with tallies per drop source, colours the
+ * balls by source.
+ */
+export function drawStacks(ctx, g, lattice, tallies, bySource = null) {
+  const slots = lattice.groups.map((grp) => binSlots(g, grp));
+  slots.forEach((s, k) => paintSlots(ctx, g, s, 0, Math.min(tallies[k], s.length), slotColor(bySource, k)));
+  drawOverflow(ctx, g, lattice, tallies, slots);
+}
+
+/**
+ * Cached stacks for the current geometry and bins. `draw` brings the cache
+ * up to date with `tallies` (split by `bySource` as in drawStacks), blits
+ * it, and marks bins that are over capacity.
+ */
+export function createStackLayer() {
+  let canvas = null;
+  let cctx = null;
+  let key = "";
+  let slots = [];
+  let shown = [];
+
+  const rebuild = (g, lattice, scale) => {
+    canvas = makeCanvas(Math.round(g.width * scale), Math.round(g.height * scale));
+    cctx = canvas.getContext("2d");
+    cctx.setTransform(scale, 0, 0, scale, 0, 0);
+    slots = lattice.groups.map((grp) => binSlots(g, grp));
+    shown = slots.map(() => 0);
+  };
+
+  return {
+    /** Balls a bin can show before it overflows. */
+    capacity: (bin) => slots[bin]?.length ?? 0,
+
+    draw(ctx, g, lattice, tallies, scale = 1, bySource = null) {
+      const nextKey = `${g.rows}|${g.width}|${scale}|${lattice.binLabels.join()}|${bySource?.colors.join() ?? ""}`;
+      if (nextKey !== key || tallies.some((v, k) => v < shown[k])) {
+        key = nextKey;
+        rebuild(g, lattice, scale);
+      }
+      tallies.forEach((v, k) => {
+        const target = Math.min(v, slots[k].length);
+        if (!bySource) {
+          paintSlots(cctx, g, slots[k], shown[k], target, slotColor(null, k));
+          shown[k] = Math.max(shown[k], target);
+          return;
+        }
+        // a new ball may sit under others of a later source: repaint the bin
+        if (v === shown[k]) return;
+        const grp = lattice.groups[k];
+        const left = g.binCenters[grp[0]] - g.binWidth / 2;
+        const right = g.binCenters[grp[grp.length - 1]] + g.binWidth / 2;
+        cctx.clearRect(left, g.boardBottom - g.ballRadius, right - left, g.binBase - g.boardBottom + g.ballRadius);
+        paintSlots(cctx, g, slots[k], 0, target, slotColor(bySource, k));
+        shown[k] = v;
+      });
+      ctx.drawImage(canvas, 0, 0, g.width, g.height);
+      drawOverflow(ctx, g, lattice, tallies, slots);
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// ---------- simple style helpers (no external CSS) ----------
+export const styles = {
+  page: { width: "100%", maxWidth: 1100, margin: "0 auto", padding: 16, boxSizing: "border-box", fontFamily: "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, Noto Sans", color: "#0f172a" },
+  grid: { display: "grid", gridTemplateColumns: "minmax(0,1fr) 320px", gap: 24, alignItems: "start" },
+  gridNarrow: { display: "grid", gridTemplateColumns: "minmax(0,1fr)", gap: 16, alignItems: "start" },
+  card: { background: "#fff", borderRadius: 16, boxShadow: "0 6px 20px rgba(2, 6, 23, 0.08)", padding: 16 },
+  h2: { fontSize: 20, fontWeight: 600, margin: 0 },
+  sub: { fontSize: 13, color: "#64748b" },
+  borderBox: { position: "relative", width: "100%", border: "1px solid #e2e8f0", borderRadius: 12, overflow: "hidden", background: "#f8fafc" },
+  row: { display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 12 },
+  btnRow: { display: "flex", flexWrap: "wrap", gap: 12, marginBottom: 12 },
+  btnPrimary: { padding: "8px 14px", borderRadius: 14, border: 0, background: "#0284c7", color: "white", cursor: "pointer" },
+  btnDark: { padding: "8px 14px", borderRadius: 14, border: 0, background: "#111827", color: "white", cursor: "pointer" },
+  btnLight: { padding: "8px 14px", borderRadius: 14, border: "1px solid #e2e8f0", background: "#f1f5f9", color: "#0f172a", cursor: "pointer" },
+  sidebar: { width: 320 },
+  ctlGridRow: { display: "grid", gridTemplateColumns: "150px 1fr", gap: 12, alignItems: "center", marginBottom: 12 },
+  label: { fontSize: 13, color: "#475569" },
+  // tall enough to hit with a finger; vertical swipes still scroll the page
+  range: { width: "100%", minWidth: 0, height: 28, margin: 0, touchAction: "pan-y", accentColor: "#0284c7", cursor: "pointer" },
+  numberInput: { width: 110, padding: "6px 8px", border: "1px solid #e2e8f0", borderRadius: 8 },
+  progressTrack: { height: 6, borderRadius: 3, background: "#e2e8f0", overflow: "hidden", marginTop: 8 },
+  progressFill: { height: "100%", background: "#0284c7" },
+  h4: { margin: 0, fontWeight: 600 },
+  select: { padding: "4px 6px", border: "1px solid #e2e8f0", borderRadius: 8, fontSize: 12, background: "#fff" },
+  toggle: { display: "flex", alignItems: "center", gap: 4, fontSize: 12, color: "#475569" },
+  tooltip: { background: "#fff", border: "1px solid #e2e8f0", borderRadius: 8, padding: "6px 8px", fontSize: 12, boxShadow: "0 2px 8px rgba(2, 6, 23, 0.08)" }
+};
@@ -0,0 +1,86 @@
+// A stand-in for CanvasRenderingContext2D that records what the board's draw
+// functions do as SVG elements, so the same code paints the canvas and the
+// vector export. Covers the calls boardCanvas.js and stackLayer.js make.
+
+const TAU = Math.PI * 2;
+const n = (v) => String(Math.round(v * 100) / 100);
+const esc = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const ANCHOR = { center: "middle", right: "end", end: "end" };
+
+export function createSvgContext() {
+  const elements = [];
+  let d = [];
+  let at = null; // current point, to join arcs onto an open path
+
+  const ctx = {
+    fillStyle: "#000",
+    strokeStyle: "#000",
+    lineWidth: 1,
+    lineCap: "butt",
+    font: "10px sans-serif",
+    textAlign: "start",
+
+    beginPath() {
+      d = [];
+      at = null;
+    },
+    moveTo(x, y) {
+      d.push(`M${n(x)} ${n(y)}`);
+      at = [x, y];
+    },
+    lineTo(x, y) {
+      d.push(`${at ? "L" : "M"}${n(x)} ${n(y)}`);
+      at = [x, y];
+    },
+    arc(x, y, r, a0, a1) {
+      const sweep = a1 - a0;
+      const sx = x + r * Math.cos(a0);
+      const sy = y + r * Math.sin(a0);
+      d.push(`${at ? "L" : "M"}${n(sx)} ${n(sy)}`);
+      if (sweep >= TAU - 1e-9) {
+        // a full circle is two half arcs
+        d.push(`A${n(r)} ${n(r)} 0 1 1 ${n(x - (sx - x))} ${n(y - (sy - y))}`, `A${n(r)} ${n(r)} 0 1 1 ${n(sx)} ${n(sy)}Z`);
+        at = [sx, sy];
+        return;
+      }
+      const ex = x + r * Math.cos(a1);
+      const ey = y + r * Math.sin(a1);
+      d.push(`A${n(r)} ${n(r)} 0 ${sweep > Math.PI ? 1 : 0} 1 ${n(ex)} ${n(ey)}`);
+      at = [ex, ey];
+    },
+    fill() {
+      if (d.length) elements.push(`<path d="${d.join("")}" fill="${esc(ctx.fillStyle)}"/>`);
+    },
+    stroke() {
+      if (d.length) {
+        elements.push(`<path d="${d.join("")}" fill="none" stroke="${esc(ctx.strokeStyle)}" stroke-width="${n(ctx.lineWidth)}" stroke-linecap="${ctx.lineCap}"/>`);
+      }
+    },
+    fillRect(x, y, w, h) {
+      elements.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" fill="${esc(ctx.fillStyle)}"/>`);
+    },
+    fillText(text, x, y) {
+      const anchor = ANCHOR[ctx.textAlign] ?? "start";
+      elements.push(`<text x="${n(x)}" y="${n(y)}" text-anchor="${anchor}" fill="${esc(ctx.fillStyle)}" style="font: ${esc(ctx.font)}">${esc(text)}</text>`);
+    },
+    // no-ops: the export is drawn in board units on an empty document
+    setTransform() {},
+    clearRect() {},
+    drawImage() {},
+
+    /** The recorded drawing as SVG markup (no outer <svg>). */
+    markup: () => elements.join("\n"),
+  };
+  return ctx;
+}
+
+/** Wrap markup in a standalone SVG document. */
+export function svgDocument(width, height, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${n(width)}" height="${n(height)}" viewBox="0 0 ${n(width)} ${n(height)}">
+${body}
+</svg>
+`;
+}
+
+export const escapeXml = esc;
@@ -0,0 +1,93 @@
+// Board parameters mirrored in the query string, so an exact setup can be
+// shared as a link:
+//
+//   ?rows=16&bias=0.1&seed=42&autostart=1&drop=500
+//
+// Values are validated and clamped to the slider ranges on load. Parameters
+// left at their defaults are kept out of the URL. `autostart` and `drop=N`
+// are one-shot launch options and are only ever read.
+import { clamp, MOTION_MODELS, RNG_KINDS, BOARD_KINDS, DEFAULT_BOARD, STRAIGHT_DEFAULT, RECT_BINS } from "./engine/index.js";
+
+export const URL_PARAMS = {
+  rows: { min: 5, max: 20, step: 1, def: 12 },
+  ballsPerBatch: { min: 1, max: 200, step: 1, def: 1 },
+  bias: { min: -0.25, max: 0.25, step: 0.01, def: 0 },
+  stepMs: { min: 60, max: 500, step: 1, def: 140 },
+  scale: { min: 0.7, max: 1.6, step: 0.05, def: 1 },
+  seed: { min: 0, max: 0xffffffff, step: 1, def: 12345 },
+  rng: { values: RNG_KINDS, def: "mulberry32" },
+  interval: { min: 40, max: 1500, step: 1, def: 500 },
+  motion: { values: MOTION_MODELS, def: "gravity" },
+  timeScale: { min: 0.05, max: 10, step: 0.01, def: 1 }, // sim seconds per wall second
+  // board type, see engine/lattices.js; `straight` and `bins` only count for their type
+  board: { values: BOARD_KINDS, def: "triangle" },
+  straight: { min: 0, max: 1, step: 0.01, def: STRAIGHT_DEFAULT },
+  bins: { min: RECT_BINS.min, max: RECT_BINS.max, step: 1, def: RECT_BINS.def },
+};
+
+/** The board type described by the `board`, `straight` and `bins` of read URL state. */
+export function boardFromUrl({ board, straight, bins }) {
+  if (board === "threeWay") return { type: board, straight };
+  if (board === "rectangle") return { type: board, bins };
+  return DEFAULT_BOARD;
+}
+
+/** The URL state for a board type; settings of other types stay at their defaults and out of the URL. */
+export const boardToUrl = (board) => ({
+  board: board.type,
+  straight: board.type === "threeWay" ? board.straight : URL_PARAMS.straight.def,
+  bins: board.type === "rectangle" ? board.bins : URL_PARAMS.bins.def,
+});
+
+const MAX_DROP = 10000;
+
+// parse one raw query value against its spec; undefined when unusable
+function parseParam(spec, raw) {
+  if (raw == null || raw === "") return undefined;
+  if (spec.values) return spec.values.includes(raw) ? raw : undefined;
+  const v = Number(raw);
+  if (!Number.isFinite(v)) return undefined;
+  const snapped = Math.round((clamp(v, spec.min, spec.max) - spec.min) / spec.step) * spec.step + spec.min;
+  const decimals = (String(spec.step).split(".")[1] ?? "").length;
+  return clamp(Number(snapped.toFixed(decimals)), spec.min, spec.max);
+}
+
+/** One value of URL_PARAMS[key] from a string, validated like the query string's; undefined when unusable. */
+export const readParam = (key, raw) => parseParam(URL_PARAMS[key], raw);
+
+const flag = (raw) => raw != null && !["0", "false", "no"].includes(raw.toLowerCase());
+
+/**
+ * Read `keys` of URL_PARAMS from the current URL, falling back to each
+ * default. Also returns the launch options `{ autostart, drop }`.
+ */
+export function readUrlState(keys, search = typeof window !== "undefined" ? window.location.search : "") {
+  const q = new URLSearchParams(search);
+  const state = {};
+  keys.forEach((k) => {
+    state[k] = parseParam(URL_PARAMS[k], q.get(k)) ?? URL_PARAMS[k].def;
+  });
+  const drop = Math.floor(clamp(Number(q.get("drop")) || 0, 0, MAX_DROP));
+  return { state, autostart: flag(q.get("autostart")), drop };
+}
+
+/** Mirror `values` into the query string without adding a history entry. */
+export function writeUrlState(values) {
+  const url = new URL(window.location.href);
+  Object.entries(values).forEach(([k, v]) => {
+    if (v === URL_PARAMS[k].def) url.searchParams.delete(k);
+    else url.searchParams.set(k, String(v));
+  });
+  if (url.href !== window.location.href) window.history.replaceState(window.history.state, "", url);
+}
+
+/** Copy the current URL; resolves to false when the clipboard isn't available. */
+export async function copyLink() {
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    return true;
+  } catch {
+    window.prompt("Copy this link:", window.location.href);
+    return false;
+  }
+}
@@ -0,0 +1,32 @@
+import { useState } from "react";
+
+/**
+ * State that a parent may own. While `value` is defined the parent controls
+ * it and setting only calls `onChange`; otherwise it starts at `defaultValue`
+ * and is kept here, and `onChange` still hears of every change. The setter
+ * takes a value or an updater, like useState's.
+ */
+export function useControllable(value, defaultValue, onChange) {
+  const [own, setOwn] = useState(defaultValue);
+  const controlled = value !== undefined;
+  const current = controlled ? value : own;
+  const set = (next) => {
+    const v = typeof next === "function" ? next(current) : next;
+    if (Object.is(v, current)) return;
+    if (!controlled) setOwn(v);
+    onChange?.(v);
+  };
+  return [current, set];
+}
+
+const capitalize = (s) => s[0].toUpperCase() + s.slice(1);
+
+/**
+ * useControllable for prop `name` of `props`, React style: `name` controls
+ * it, `defaultName` sets where it starts (else `fallback`) and
+ * `onNameChange(value)` reports changes.
+ */
+export function useProp(props, name, fallback) {
+  const Name = capitalize(name);
+  return useControllable(props[name], props[`default${Name}`] ?? fallback, props[`on${Name}Change`]);
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+
+// beyond this, sharper canvases cost more than they show
+const MAX_PIXEL_RATIO = 3;
+
+/** CSS width of `ref`'s element in whole pixels, kept current by a ResizeObserver; 0 until measured. */
+export function useElementWidth(ref) {
+  const [width, setWidth] = useState(0);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(([entry]) => setWidth(Math.round(entry.contentRect.width)));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+  return width;
+}
+
+/** Device pixels per CSS pixel right now, for code that draws every frame anyway. */
+export const currentPixelRatio = () => Math.min(MAX_PIXEL_RATIO, (typeof window !== "undefined" && window.devicePixelRatio) || 1);
+
+/** Device pixels per CSS pixel; changes with browser zoom or on moving to another screen. */
+export function useDevicePixelRatio() {
+  const [ratio, setRatio] = useState(currentPixelRatio);
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.matchMedia) return;
+    // matches until the ratio changes, then a new query replaces it
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+    const update = () => setRatio(currentPixelRatio());
+    query.addEventListener("change", update);
+    return () => query.removeEventListener("change", update);
+  }, [ratio]);
+  return ratio;
+}
+
+/** Below this page width the sidebar goes under the board. */
+export const NARROW_WIDTH = 760;
@@ -1,7 +1,31 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Library builds (`npm run build:lib`): `--mode lib` is the ES module for
+// React apps, with React left to the host app; `--mode element` is a single
+// file for plain pages that registers <galton-board> and includes React.
+const LIBRARIES = {
+  lib: { entry: 'src/lib.js', fileName: 'galton-board', external: [/^react($|\/)/, /^react-dom($|\/)/] },
+  element: { entry: 'src/element.js', fileName: 'galton-board-element', external: [] },
+}
+
+function libraryBuild({ entry, fileName, external }, mode) {
+  return {
+    // nothing in the bundle can read process.env for itself on a plain page
+    define: mode === 'element' ? { 'process.env.NODE_ENV': JSON.stringify('production') } : {},
+    // the simulation worker is found next to the module, wherever it is served from
+    base: './',
+    build: {
+      outDir: `dist/${mode}`,
+      copyPublicDir: false,
+      lib: { entry, formats: ['es'], fileName },
+      rollupOptions: { external },
+    },
+  }
+}
+
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   plugins: [react()],
-})
+  ...(LIBRARIES[mode] && libraryBuild(LIBRARIES[mode], mode)),
+}))